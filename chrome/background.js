@@ -1,75 +1,132 @@
 // InvenTree Item Lookup - Background Service Worker
 
-const MAX_HISTORY = 20;
+importScripts('patterns.js', 'profiles.js', 'index.js', 'history.js');
 
-// Get the configured base URL
-async function getBaseUrl() {
-  const { inventreeUrl } = await chrome.storage.sync.get('inventreeUrl');
-  if (!inventreeUrl) return null;
-  return inventreeUrl.replace(/\/+$/, ''); // Remove trailing slashes
-}
+// Lookups that are not driven by a reference pattern
+const PART_LOOKUP = {
+  name: 'Part',
+  apiEndpoint: '/api/part/',
+  apiParam: 'IPN',
+  urlTemplate: '/web/part/{id}/details',
+  indexUrl: '/web/part/category/index/parts'
+};
+
+const STOCK_ITEM_LOOKUP = {
+  name: 'Stock Item',
+  apiEndpoint: '/api/stock/',
+  apiParam: 'serial',
+  apiExtraParams: { part_detail: true, location_detail: true },
+  urlTemplate: '/web/stock/item/{id}/details',
+  indexUrl: '/web/stock/location/index/stock-items'
+};
+
+const STOCK_BATCH_LOOKUP = {
+  ...STOCK_ITEM_LOOKUP,
+  apiParam: 'batch'
+};
+
+// Supplier and manufacturer part numbers - matches can open the linked internal part
+const SUPPLIER_PART_LOOKUP = {
+  name: 'Supplier Part',
+  apiEndpoint: '/api/company/part/',
+  apiParam: 'SKU',
+  apiExtraParams: { part_detail: true, supplier_detail: true },
+  urlTemplate: '/web/purchasing/supplier-part/{id}/details',
+  indexUrl: '/web/purchasing/index/suppliers',
+  matchedField: 'SKU'
+};
 
-// Default prefixes (used if not detected from API)
-const DEFAULT_PREFIXES = {
-  buildOrderPrefix: 'BO-',
-  purchaseOrderPrefix: 'PO-',
-  salesOrderPrefix: 'SO-',
-  returnOrderPrefix: 'RMA-'
+const MANUFACTURER_PART_LOOKUP = {
+  name: 'Manufacturer Part',
+  apiEndpoint: '/api/company/part/manufacturer/',
+  apiParam: 'MPN',
+  apiExtraParams: { part_detail: true, manufacturer_detail: true },
+  urlTemplate: '/web/purchasing/manufacturer-part/{id}/details',
+  indexUrl: '/web/purchasing/index/manufacturers',
+  matchedField: 'MPN'
 };
 
-// Escape special regex characters in a string
-function escapeRegex(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
-// Build dynamic patterns for orders based on detected/configured prefixes
-function buildPatterns(prefixes) {
-  const p = { ...DEFAULT_PREFIXES, ...prefixes };
-
-  return [
-    {
-      name: 'Build Order',
-      // Prefix followed by digits
-      regex: new RegExp(`^${escapeRegex(p.buildOrderPrefix)}\\d+$`, 'i'),
-      apiEndpoint: '/api/build/',
-      apiParam: 'reference',
-      urlTemplate: '/web/manufacturing/build-order/{id}/details',
-      indexUrl: '/web/manufacturing/index/buildorders'
-    },
-    {
-      name: 'Purchase Order',
-      // Prefix followed by digits
-      regex: new RegExp(`^${escapeRegex(p.purchaseOrderPrefix)}\\d+$`, 'i'),
-      apiEndpoint: '/api/order/po/',
-      apiParam: 'reference',
-      urlTemplate: '/web/purchasing/purchase-order/{id}/detail',
-      indexUrl: '/web/purchasing/index/purchaseorders'
-    },
-    {
-      name: 'Sales Order',
-      // Prefix followed by digits
-      regex: new RegExp(`^${escapeRegex(p.salesOrderPrefix)}\\d+$`, 'i'),
-      apiEndpoint: '/api/order/so/',
-      apiParam: 'reference',
-      urlTemplate: '/web/sales/sales-order/{id}/detail',
-      indexUrl: '/web/sales/index/salesorders'
-    },
-    {
-      name: 'Return Order',
-      // Prefix followed by digits
-      regex: new RegExp(`^${escapeRegex(p.returnOrderPrefix)}\\d+$`, 'i'),
-      apiEndpoint: '/api/order/ro/',
-      apiParam: 'reference',
-      urlTemplate: '/web/sales/return-order/{id}/detail',
-      indexUrl: '/web/sales/index/returnorders'
-    }
-  ];
-}
-
-// Get patterns with current prefixes from storage
-async function getPatterns() {
-  const { referencePrefixes } = await chrome.storage.sync.get('referencePrefixes');
-  return buildPatterns(referencePrefixes || {});
+// Lookups only used when the user picks the record type ("Look up as…")
+const PART_NAME_LOOKUP = {
+  ...PART_LOOKUP,
+  apiParam: 'search'
+};
+
+const COMPANY_LOOKUP = {
+  name: 'Company',
+  apiEndpoint: '/api/company/',
+  apiParam: 'search',
+  urlTemplate: '/web/company/{id}/details',
+  indexUrl: '/web/purchasing/index/suppliers'
+};
+
+// Lookups tried in order when no pattern matches the selected text
+const FALLBACK_LOOKUPS = [
+  PART_LOOKUP,
+  SUPPLIER_PART_LOOKUP,
+  MANUFACTURER_PART_LOOKUP,
+  STOCK_ITEM_LOOKUP,
+  STOCK_BATCH_LOOKUP
+];
+
+// Build the serial number pattern from the configured regex, if any
+function buildSerialPattern(serialNumberPattern) {
+  if (!serialNumberPattern) return null;
+  try {
+    return { ...STOCK_ITEM_LOOKUP, regex: new RegExp(serialNumberPattern, 'i') };
+  } catch (error) {
+    console.error('Invalid serial number pattern:', error);
+    return null;
+  }
+}
+
+// Revision suffixes recognised after an IPN: letters (CE1234B, CE1234-B) or a
+// separated number (CE1234-01, CE1234.2)
+const IPN_REVISION_SUFFIX = '(?:[-._]?(?<letters>[A-Z]{1,2})|[-._](?<number>\\d{1,3}))';
+
+// Build the part IPN pattern from the configured regex, if any. It also matches the IPN
+// followed by a revision suffix, which revisionRegex splits off again (named groups,
+// so capturing groups in the configured regex don't matter). IPN regexes are often loose,
+// so a miss falls through to the other lookups and the search rather than ending there.
+function buildIpnPattern(ipnPattern) {
+  if (!ipnPattern) return null;
+  const base = ipnPattern.replace(/^\^/, '').replace(/\$$/, '');
+  try {
+    return {
+      ...PART_LOOKUP,
+      fallThrough: true,
+      regex: new RegExp(`^(?:${base})(?:${IPN_REVISION_SUFFIX.replace(/\?<\w+>/g, '')})?$`, 'i'),
+      revisionRegex: new RegExp(`^(?<ipn>${base})${IPN_REVISION_SUFFIX}$`, 'i')
+    };
+  } catch (error) {
+    console.error('Invalid IPN pattern:', error);
+    return null;
+  }
+}
+
+// Get patterns from the enabled lookup rules and a profile's reference patterns
+async function getPatterns(profile) {
+  const patterns = buildPatterns(await loadRules(), profile);
+  const ipnPattern = buildIpnPattern(profile.ipnPattern);
+  if (ipnPattern) {
+    patterns.push(ipnPattern);
+  }
+  const serialPattern = buildSerialPattern(profile.serialNumberPattern);
+  if (serialPattern) {
+    patterns.push(serialPattern);
+  }
+  return patterns;
+}
+
+// Find the lookup definition (pattern or fixed lookup) for a record type name
+async function getLookupByName(name, profile) {
+  const lookups = [PART_LOOKUP, STOCK_ITEM_LOOKUP, SUPPLIER_PART_LOOKUP, MANUFACTURER_PART_LOOKUP, COMPANY_LOOKUP, ...await getPatterns(profile)];
+  return lookups.find(lookup => lookup.name === name) || null;
+}
+
+// Build the detail page URL for a record using its lookup's URL template
+function buildRecordUrl(baseUrl, lookup, pk) {
+  return `${baseUrl}${lookup.urlTemplate.replace('{id}', pk)}`;
 }
 
 // Default landing page options
@@ -81,30 +138,229 @@ const LANDING_PAGES = {
   returnOrders: '/web/sales/index/returnorders'
 };
 
-// Get the fallback URL based on user preference
-async function getFallbackUrl() {
-  const { defaultLandingPage } = await chrome.storage.sync.get('defaultLandingPage');
-  return LANDING_PAGES[defaultLandingPage] || LANDING_PAGES.parts;
+// Check whether SKU/MPN matches should open the linked internal part
+async function opensLinkedPart() {
+  const { supplierMatchTarget } = await getSettings('supplierMatchTarget');
+  return supplierMatchTarget !== 'supplierPart';
 }
 
-// Create context menu on install
-chrome.runtime.onInstalled.addListener(() => {
+// Get the fallback URL based on the profile's preference
+function getFallbackUrl(profile) {
+  return LANDING_PAGES[profile.defaultLandingPage] || LANDING_PAGES.parts;
+}
+
+// Part page tabs that can be opened by default
+const PART_TABS = ['details', 'stock', 'bom', 'suppliers', 'used_in'];
+
+// Point a part's detail page URL at the tab chosen in the settings
+async function applyPartTab(url) {
+  const { defaultPartTab } = await getSettings('defaultPartTab');
+  if (!PART_TABS.includes(defaultPartTab) || defaultPartTab === 'details') return url;
+  return url.replace(/(\/web\/part\/\d+)\/details$/, `$1/${defaultPartTab}`);
+}
+
+// Whether a tab's URL shows the record at url (any of its detail panels)
+function showsRecord(tabUrl, url) {
+  const base = url.replace(/\/details$/, '');
+  return tabUrl === url || tabUrl === base || tabUrl.startsWith(`${base}/`);
+}
+
+// Open an InvenTree page according to the open mode setting, unless a mode is given:
+// 'newTab', 'reuseTab' (the most recently used InvenTree tab), 'focusExisting' (a tab
+// already showing the record) or 'background' (a new tab that doesn't take focus)
+async function openUrl(url, openMode = null) {
+  if (!openMode) {
+    ({ openMode = 'newTab' } = await getSettings('openMode'));
+  }
+  const pageUrl = await applyPartTab(url);
+
+  if (openMode === 'reuseTab' || openMode === 'focusExisting') {
+    const origin = new URL(url).origin;
+    const tabs = (await chrome.tabs.query({})).filter(tab => tab.url && tab.url.startsWith(`${origin}/`));
+    const existing = openMode === 'focusExisting'
+      ? tabs.find(tab => showsRecord(tab.url.split('#')[0], url))
+      : tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0];
+
+    if (existing) {
+      await chrome.tabs.update(existing.id, openMode === 'reuseTab' ? { url: pageUrl, active: true } : { active: true });
+      await chrome.windows.update(existing.windowId, { focused: true });
+      return;
+    }
+  }
+
+  await chrome.tabs.create({ url: pageUrl, active: openMode !== 'background' });
+}
+
+// The context menu rebuild in progress, if any
+let menuBuild = Promise.resolve();
+
+// Rebuild the context menu after any rebuild already in progress, so their removeAll
+// and create calls don't interleave (install and the profile migration both ask for one)
+function buildContextMenus() {
+  menuBuild = menuBuild
+    .then(createContextMenus)
+    .catch(error => console.error('Failed to build the context menu:', error));
+  return menuBuild;
+}
+
+// Create the context menu, with a per-profile submenu when several servers are configured
+async function createContextMenus() {
+  await chrome.contextMenus.removeAll();
   chrome.contextMenus.create({
     id: 'search-inventree',
     title: 'Search InvenTree for "%s"',
     contexts: ['selection']
   });
+
+  const { profiles, activeProfileId } = await loadProfiles();
+  const active = profiles.find(profile => profile.id === activeProfileId) || profiles[0];
+  chrome.contextMenus.create({
+    id: 'lookup-as',
+    title: 'Look up "%s" as',
+    contexts: ['selection']
+  });
+  for (const type of await getLookupAsTypes(active)) {
+    chrome.contextMenus.create({
+      id: `lookup-as-${type.key}`,
+      parentId: 'lookup-as',
+      title: type.title,
+      contexts: ['selection']
+    });
+  }
+  chrome.contextMenus.create({
+    id: 'stock-actions',
+    title: 'Stock actions for "%s"…',
+    contexts: ['selection']
+  });
+
+  if (profiles.length < 2) return;
+
+  chrome.contextMenus.create({
+    id: 'search-profiles',
+    title: 'Search "%s" on server',
+    contexts: ['selection']
+  });
+  for (const profile of profiles) {
+    chrome.contextMenus.create({
+      id: `search-profile-${profile.id}`,
+      parentId: 'search-profiles',
+      title: profile.name,
+      contexts: ['selection']
+    });
+  }
+}
+
+// Turn a highlight allowlist entry (e.g. "tickets.example.com" or "*.example.com") into a match pattern
+function siteToMatchPattern(site) {
+  if (site.includes('://')) {
+    return /^[^:]+:\/\/[^/]+\//.test(site) ? site : `${site}/*`;
+  }
+  return `*://${site.replace(/\/.*$/, '')}/*`;
+}
+
+// Register (or remove) the reference highlighter content script for the allowlisted sites
+async function registerHighlighter() {
+  const { highlightEnabled, highlightSites = [] } = await getSettings(['highlightEnabled', 'highlightSites']);
+
+  try {
+    await chrome.scripting.unregisterContentScripts({ ids: ['highlighter'] });
+  } catch (error) {
+    // Not registered yet
+  }
+
+  if (!highlightEnabled || highlightSites.length === 0) return;
+
+  try {
+    await chrome.scripting.registerContentScripts([{
+      id: 'highlighter',
+      matches: highlightSites.map(siteToMatchPattern),
+      js: ['content.js'],
+      runAt: 'document_idle'
+    }]);
+  } catch (error) {
+    console.error('Failed to register reference highlighter:', error);
+  }
+}
+
+// Create context menu and highlighter on install, and rebuild them when settings change
+chrome.runtime.onInstalled.addListener(() => {
+  buildContextMenus();
+  registerHighlighter();
+  scheduleIndexSync();
 });
 
-// Find matching pattern for selected text
-async function findMatchingPattern(text) {
-  const patterns = await getPatterns();
-  for (const pattern of patterns) {
-    if (pattern.regex.test(text)) {
-      return pattern;
+// Registered scripts and alarms aren't guaranteed to survive a browser restart
+chrome.runtime.onStartup.addListener(() => {
+  registerHighlighter();
+  scheduleIndexSync();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' && area !== 'managed') return;
+  if (changes.profiles || changes.activeProfileId || changes.lookupRules || changes.inventreeUrl || changes.profileName) {
+    buildContextMenus();
+  }
+  if (changes.highlightEnabled || changes.highlightSites) {
+    registerHighlighter();
+  }
+  if (changes.localIndexEnabled || changes.indexSyncInterval) {
+    scheduleIndexSync();
+  }
+});
+
+// Split text into words, trimming punctuation that commonly surrounds a reference
+function referenceTokens(text) {
+  return normaliseReferenceText(text).split(/\s+/)
+    .map(word => word.replace(/^[^A-Z0-9]+|[^A-Z0-9]+$/g, ''))
+    .filter(Boolean);
+}
+
+// Find every reference in the text that one of the profile's patterns recognises, best
+// first: references matching as written before normalised variants, then in reading order
+async function extractReferences(text, profile) {
+  const patterns = await getPatterns(profile);
+  const words = referenceTokens(text);
+
+  // Single words, plus a prefix split from its number ("PO 1234")
+  const tokens = [...words];
+  for (let i = 0; i < words.length - 1; i++) {
+    if (/^[A-Z]+-?$/.test(words[i]) && /^\d+[A-Z]*$/.test(words[i + 1])) {
+      tokens.push(`${words[i].replace(/-$/, '')} ${words[i + 1]}`);
     }
   }
-  return null;
+
+  const candidates = new Map();
+  for (const token of tokens) {
+    for (const variant of referenceVariants(token)) {
+      const pattern = patterns.find(pattern => pattern.regex.test(variant));
+      if (pattern) {
+        if (!candidates.has(variant)) {
+          candidates.set(variant, { reference: variant, pattern, exact: variant === token, selected: token });
+        }
+        break;
+      }
+    }
+  }
+  return [...candidates.values()].sort((a, b) => b.exact - a.exact);
+}
+
+// Choose what to look up in the selected text: the best extracted reference, else the
+// text itself (or its only word with a digit) for the part, SKU/MPN and stock lookups
+async function pickReference(text, profile) {
+  const candidates = await extractReferences(text, profile);
+  if (candidates.length > 0) {
+    return { reference: candidates[0].reference, pattern: candidates[0].pattern, candidates };
+  }
+
+  const words = referenceTokens(text);
+  const numbered = words.filter(word => /\d/.test(word));
+  let reference = normaliseReferenceText(text).trim();
+  if (words.length === 1) {
+    reference = words[0];
+  } else if (numbered.length === 1) {
+    reference = numbered[0];
+  }
+  return { reference, pattern: null, candidates };
 }
 
 // Copy text to clipboard using tab context (for context menu)
@@ -123,140 +379,1350 @@ async function copyToClipboard(text, tabId) {
   }
 }
 
-// Add item to lookup history
-async function addToHistory(reference, type, url, success) {
-  const { lookupHistory = [] } = await chrome.storage.local.get('lookupHistory');
-  
-  // Remove duplicate if exists
-  const filtered = lookupHistory.filter(item => item.reference !== reference);
-  
-  // Add new entry at the beginning
-  filtered.unshift({
-    reference,
-    type,
-    url,
-    success,
-    timestamp: Date.now()
-  });
-  
-  // Keep only the most recent entries
-  const trimmed = filtered.slice(0, MAX_HISTORY);
-  
-  await chrome.storage.local.set({ lookupHistory: trimmed });
-}
-
-// Query an API endpoint and return results
-async function queryApi(baseUrl, apiToken, endpoint, param, searchText) {
-  const response = await fetch(
-    `${baseUrl}${endpoint}?${param}=${encodeURIComponent(searchText)}`,
-    {
+// Add item to lookup history (extra holds optional details such as matchedField)
+async function addToHistory(reference, type, url, success, extra = {}) {
+  await addHistoryEntry({ reference, type, url, success, ...extra });
+
+  if (success) {
+    clearFailureBadge();
+  }
+}
+
+// How long to wait for the server before giving up on a request
+const API_TIMEOUT_MS = 10000;
+
+// A failed API request. `kind` tells failures apart: 'auth' (token rejected or not allowed),
+// 'server' (server error or unexpected response), 'network' (server unreachable),
+// 'timeout' (no response in time), 'notFound' (the endpoint or record doesn't exist)
+// and 'locked' (the encrypted token hasn't been unlocked this session)
+class ApiError extends Error {
+  constructor(kind, message, status = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+  }
+}
+
+// Make an authenticated API request with a timeout, turning failures into ApiErrors.
+// Aborting through `signal` still rejects with the usual AbortError.
+async function apiFetch(url, apiToken, { method = 'GET', body, signal } = {}) {
+  const timeout = AbortSignal.timeout(API_TIMEOUT_MS);
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
       headers: {
         'Authorization': `Token ${apiToken}`,
         'Content-Type': 'application/json'
-      }
+      },
+      body,
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    if (timeout.aborted) {
+      throw new ApiError('timeout', `InvenTree server did not respond within ${API_TIMEOUT_MS / 1000} seconds`);
     }
-  );
+    throw new ApiError('network', 'InvenTree server unreachable');
+  }
 
+  if (response.status === 401) {
+    throw new ApiError('auth', 'API token rejected - check the extension settings', 401);
+  }
+  if (response.status === 403) {
+    throw new ApiError('auth', 'Your InvenTree account is not allowed to view this', 403);
+  }
+  if (response.status === 404) {
+    throw new ApiError('notFound', `Not found on the server: ${new URL(url).pathname}`, 404);
+  }
+  if (response.status === 400) {
+    throw new ApiError('server', `InvenTree rejected the request: ${await describeValidationError(response)}`, 400);
+  }
   if (!response.ok) {
-    return null;
+    throw new ApiError('server', `InvenTree server error (HTTP ${response.status})`, response.status);
   }
+  return response;
+}
 
-  const data = await response.json();
-  const results = data.results || data;
+// Flatten a validation error response (field -> messages) into one line
+async function describeValidationError(response) {
+  try {
+    const messages = [];
+    const collect = (value) => {
+      if (Array.isArray(value)) value.forEach(collect);
+      else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+      else if (value) messages.push(String(value));
+    };
+    collect(await response.json());
+    return messages.join(' ') || 'invalid request';
+  } catch (error) {
+    return 'invalid request';
+  }
+}
 
-  if (!results || results.length === 0) {
-    return null;
+// Make an API request and parse its JSON response
+async function apiJson(url, apiToken, options = {}) {
+  const response = await apiFetch(url, apiToken, options);
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new ApiError('server', 'Unexpected response from the InvenTree server', response.status);
   }
+}
 
-  return results[0];
+// Query an API endpoint and return all matching results
+async function queryApi(baseUrl, apiToken, endpoint, param, searchText, extraParams = {}) {
+  const query = new URLSearchParams({ ...extraParams, [param]: searchText });
+  const data = await apiJson(`${baseUrl}${endpoint}?${query}`, apiToken);
+  return data.results || data || [];
 }
 
-// Main lookup function - used by context menu, keyboard shortcut, and omnibox
-async function performLookup(searchText, tabId = null) {
-  const baseUrl = await getBaseUrl();
+// Models requested from the InvenTree search API, mapped to lookup names
+const SEARCH_MODELS = {
+  part: { lookup: 'Part', options: {} },
+  stockitem: { lookup: 'Stock Item', options: { part_detail: true, location_detail: true } },
+  build: { lookup: 'Build Order', options: { part_detail: true } },
+  purchaseorder: { lookup: 'Purchase Order', options: { supplier_detail: true } },
+  salesorder: { lookup: 'Sales Order', options: { customer_detail: true } },
+  returnorder: { lookup: 'Return Order', options: { customer_detail: true } },
+  supplierpart: { lookup: 'Supplier Part', options: { part_detail: true, supplier_detail: true } },
+  manufacturerpart: { lookup: 'Manufacturer Part', options: { part_detail: true, manufacturer_detail: true } },
+  company: { lookup: 'Company', options: {} }
+};
 
-  // Check if URL is configured
+// Headings the search results are grouped under in the chooser, in order
+const SEARCH_GROUPS = {
+  'Part': 'Parts',
+  'Supplier Part': 'Parts',
+  'Manufacturer Part': 'Parts',
+  'Stock Item': 'Stock',
+  'Company': 'Companies',
+  'Build Order': 'Orders',
+  'Purchase Order': 'Orders',
+  'Sales Order': 'Orders',
+  'Return Order': 'Orders'
+};
+const SEARCH_GROUP_ORDER = ['Parts', 'Stock', 'Companies', 'Orders'];
+
+// Results per model when searching the server for text nothing else matched
+const SEARCH_FALLBACK_LIMIT = 10;
+
+// Query parameter that fills in the search box of a landing page
+const LANDING_SEARCH_PARAM = 'search';
+
+// Query the InvenTree search API across all models in SEARCH_MODELS
+async function searchServer(baseUrl, apiToken, searchText, limit, signal) {
+  const body = { search: searchText, limit };
+  for (const [model, { options }] of Object.entries(SEARCH_MODELS)) {
+    body[model] = options;
+  }
+
+  const data = await apiJson(`${baseUrl}/api/search/`, apiToken, {
+    method: 'POST',
+    body: JSON.stringify(body),
+    signal
+  });
+
+  const matches = [];
+  for (const [model, { lookup }] of Object.entries(SEARCH_MODELS)) {
+    const results = (data[model] && data[model].results) || [];
+    for (const record of results) {
+      matches.push({ type: lookup, record });
+    }
+  }
+  return matches;
+}
+
+// Summarise a record as a reference and a one-line description
+function describeResult(type, record) {
+  switch (type) {
+    case 'Part':
+      return {
+        reference: record.IPN || record.full_name || record.name,
+        description: [
+          record.IPN ? record.name : null,
+          record.revision ? `Rev ${record.revision}` : null,
+          record.description
+        ].filter(Boolean).join(' - ')
+      };
+    case 'Stock Item': {
+      const part = record.part_detail || {};
+      const location = record.location_detail ? ` @ ${record.location_detail.name}` : '';
+      return {
+        reference: record.serial ? `#${record.serial}` : (record.batch || `Stock ${record.pk}`),
+        description: `${part.full_name || part.name || 'Stock'} - qty ${record.quantity}${location}`
+      };
+    }
+    case 'Supplier Part':
+    case 'Manufacturer Part': {
+      const part = record.part_detail || {};
+      const company = record.supplier_detail || record.manufacturer_detail;
+      return {
+        reference: record.SKU || record.MPN,
+        description: [part.full_name || part.name, company && company.name].filter(Boolean).join(' - ')
+      };
+    }
+    case 'Company':
+      return { reference: record.name, description: record.description || '' };
+    default: {
+      const company = record.supplier_detail || record.customer_detail;
+      return {
+        reference: record.reference,
+        description: [record.title || record.description, company && company.name].filter(Boolean).join(' - ')
+      };
+    }
+  }
+}
+
+// Format a quantity, dropping needless decimals
+function formatQuantity(value, units) {
+  if (value === undefined || value === null) return null;
+  const number = Number(value);
+  const text = Number.isInteger(number) ? String(number) : String(parseFloat(number.toFixed(3)));
+  return units ? `${text} ${units}` : text;
+}
+
+// Summarise a record for hover cards and previews: title, subtitle, key fields and image
+function summarizeRecord(type, record) {
+  const { reference, description } = describeResult(type, record);
+  const summary = { title: reference, subtitle: description, fields: [], imagePath: null };
+  const add = (label, value) => {
+    if (value !== undefined && value !== null && value !== '') {
+      summary.fields.push({ label, value: String(value) });
+    }
+  };
+
+  switch (type) {
+    case 'Part': {
+      const hasAllocations = record.allocated_to_build_orders !== undefined || record.allocated_to_sales_orders !== undefined;
+      add('In stock', formatQuantity(record.in_stock !== undefined ? record.in_stock : record.total_in_stock, record.units));
+      if (hasAllocations) {
+        add('Allocated', formatQuantity((record.allocated_to_build_orders || 0) + (record.allocated_to_sales_orders || 0), record.units));
+      }
+      add('On order', formatQuantity(record.ordering, record.units));
+      add('Revision', record.revision);
+      summary.imagePath = record.thumbnail || record.image;
+      break;
+    }
+    case 'Stock Item': {
+      const location = record.location_detail;
+      add('Quantity', formatQuantity(record.quantity));
+      add('Location', location && (location.pathstring || location.name));
+      add('Status', record.status_text);
+      add('Batch', record.batch);
+      add('Serial', record.serial);
+      summary.imagePath = record.part_detail && record.part_detail.thumbnail;
+      break;
+    }
+    case 'Build Order':
+      add('Status', record.status_text);
+      add('Part', record.part_detail && record.part_detail.full_name);
+      add('Completed', record.quantity !== undefined ? `${formatQuantity(record.completed || 0)} of ${formatQuantity(record.quantity)}` : null);
+      add('Target date', record.target_date);
+      summary.imagePath = record.part_detail && record.part_detail.thumbnail;
+      break;
+    case 'Supplier Part':
+    case 'Manufacturer Part': {
+      const company = record.supplier_detail || record.manufacturer_detail;
+      add('Part', record.part_detail && record.part_detail.full_name);
+      add(type === 'Supplier Part' ? 'Supplier' : 'Manufacturer', company && company.name);
+      add('In stock', formatQuantity(record.in_stock));
+      summary.imagePath = record.part_detail && record.part_detail.thumbnail;
+      break;
+    }
+    default:
+      // Orders and records from custom rules
+      add('Status', record.status_text);
+      add('Supplier', record.supplier_detail && record.supplier_detail.name);
+      add('Customer', record.customer_detail && record.customer_detail.name);
+      add('Target date', record.target_date);
+      add('Lines', record.line_items);
+  }
+
+  return summary;
+}
+
+// Ask the user to pick one of several candidate records in a chooser window
+async function showChooser(reference, candidates, options = {}) {
+  const id = crypto.randomUUID();
+  await chrome.storage.session.set({ [`choice-${id}`]: { reference, candidates, ...options } });
+  await chrome.windows.create({
+    url: chrome.runtime.getURL(`chooser.html?id=${id}`),
+    type: 'popup',
+    width: 420,
+    height: 480
+  });
+}
+
+// Open the candidate picked in the chooser window
+async function openChoice(id, index) {
+  const key = `choice-${id}`;
+  const { [key]: choice } = await chrome.storage.session.get(key);
+  if (!choice || !choice.candidates[index]) return;
+
+  await chrome.storage.session.remove(key);
+  const candidate = choice.candidates[index];
+
+  // A reference picked out of the selected text still needs to be looked up
+  if (candidate.lookup) {
+    await performLookup(candidate.lookup, null, choice.profileId, choice.openMode);
+    return;
+  }
+
+  await addToHistory(choice.reference, candidate.type, candidate.url, true, candidate.extra);
+  await openUrl(candidate.url, choice.openMode);
+}
+
+// Map supplier/manufacturer part results onto their (unique) linked internal parts
+function linkedParts(results) {
+  const parts = new Map();
+  for (const record of results) {
+    if (record.part && !parts.has(record.part)) {
+      parts.set(record.part, { ...record.part_detail, pk: record.part });
+    }
+  }
+  return [...parts.values()];
+}
+
+// SKU/MPN matches go to the internal part unless configured otherwise
+async function applyMatchTarget(lookup, results) {
+  if (lookup.matchedField && await opensLinkedPart()) {
+    const parts = linkedParts(results);
+    if (parts.length > 0) {
+      return { lookup: PART_LOOKUP, results: parts };
+    }
+  }
+  return { lookup, results };
+}
+
+// Record types offered under "Look up as…" besides the lookup rules
+const LOOKUP_AS_TYPES = [
+  { key: 'part-ipn', title: 'Part by IPN', lookup: PART_LOOKUP },
+  { key: 'part-name', title: 'Part by name', lookup: PART_NAME_LOOKUP },
+  { key: 'stock-serial', title: 'Stock item by serial number', lookup: STOCK_ITEM_LOOKUP },
+  { key: 'stock-batch', title: 'Stock item by batch code', lookup: STOCK_BATCH_LOOKUP },
+  { key: 'supplier-sku', title: 'Supplier part by SKU', lookup: SUPPLIER_PART_LOOKUP },
+  { key: 'manufacturer-mpn', title: 'Manufacturer part by MPN', lookup: MANUFACTURER_PART_LOOKUP },
+  { key: 'company', title: 'Company', lookup: COMPANY_LOOKUP }
+];
+
+// Everything offered under "Look up as…": parts, then the enabled lookup rules
+// (order types and custom rules), then the other record types
+async function getLookupAsTypes(profile) {
+  const rules = (await getPatterns(profile))
+    .filter(pattern => pattern.key)
+    .map(pattern => ({ key: `rule-${pattern.key}`, title: pattern.name, lookup: pattern }));
+  return [...LOOKUP_AS_TYPES.slice(0, 2), ...rules, ...LOOKUP_AS_TYPES.slice(2)];
+}
+
+// Look the selected text up as the record type the user picked, skipping pattern
+// matching. Nothing found opens that type's index page.
+async function lookupAs(searchText, key) {
+  const profile = await getProfile();
+  const baseUrl = getProfileBaseUrl(profile);
   if (!baseUrl) {
     chrome.runtime.openOptionsPage();
     return;
   }
 
-  const selectedText = searchText.trim().toUpperCase();
-  const pattern = await findMatchingPattern(selectedText);
-  const fallbackUrl = await getFallbackUrl();
+  const type = (await getLookupAsTypes(profile)).find(candidate => candidate.key === key);
+  if (!type) return;
+  const { lookup } = type;
+  const reference = searchText.trim();
+  const indexUrl = `${baseUrl}${lookup.indexUrl || getFallbackUrl(profile)}`;
 
-  // Get API token from storage
-  const { apiToken } = await chrome.storage.sync.get('apiToken');
-
-  // If we have an order pattern match, look it up
-  if (pattern && apiToken) {
+  if (profile.apiToken || profile.tokensLocked) {
     try {
-      const result = await queryApi(baseUrl, apiToken, pattern.apiEndpoint, pattern.apiParam, selectedText);
-      if (result) {
-        const url = `${baseUrl}${pattern.urlTemplate.replace('{id}', result.pk)}`;
-        await addToHistory(selectedText, pattern.name, url, true);
-        chrome.tabs.create({ url });
+      if (profile.tokensLocked) {
+        throw new ApiError('locked', 'The API token is locked until you enter your passphrase');
+      }
+      const results = await queryApi(baseUrl, profile.apiToken, lookup.apiEndpoint, lookup.apiParam, reference, lookup.apiExtraParams);
+      if (results.length > 0) {
+        await openResults(baseUrl, lookup, reference, results);
         return;
       }
     } catch (error) {
-      console.error('Order lookup failed:', error);
+      await reportLookupFailure(reference, lookup.name, indexUrl, error);
+      return;
     }
-    // Pattern matched but item not found - go to the relevant index page
-    const indexUrl = `${baseUrl}${pattern.indexUrl}`;
-    await addToHistory(selectedText, pattern.name, indexUrl, false);
-    chrome.tabs.create({ url: indexUrl });
+  }
+
+  await addToHistory(reference, lookup.name, indexUrl, false, { failure: 'notFound' });
+  await openUrl(indexUrl);
+}
+
+// Open a single result directly, or offer a chooser when there are several
+async function openResults(baseUrl, lookup, reference, results, openMode = null) {
+  const extra = lookup.matchedField ? { matchedField: lookup.matchedField } : {};
+  ({ lookup, results } = await applyMatchTarget(lookup, results));
+
+  if (results.length === 1) {
+    const url = buildRecordUrl(baseUrl, lookup, results[0].pk);
+    await addToHistory(reference, lookup.name, url, true, extra);
+    await openUrl(url, openMode);
+    return;
+  }
+
+  const candidates = results.map(record => ({
+    type: lookup.name,
+    ...describeResult(lookup.name, record),
+    url: buildRecordUrl(baseUrl, lookup, record.pk),
+    extra
+  }));
+  await showChooser(reference, candidates, { openMode });
+}
+
+// Split an IPN with a revision suffix into the base IPN and the revision
+function splitRevision(text, pattern) {
+  const match = pattern.revisionRegex ? text.match(pattern.revisionRegex) : null;
+  if (!match) return null;
+  const { ipn, letters, number } = match.groups;
+  return { ipn, revision: letters || number };
+}
+
+// Narrow the parts sharing a base IPN to the wanted revision (01 matches 1), or to
+// the base part when there is no such revision
+function pickRevision(parts, revision) {
+  const normalise = value => String(value || '').toUpperCase().replace(/^0+(?=.)/, '');
+  const matching = parts.filter(part => normalise(part.revision) === normalise(revision));
+  if (matching.length > 0) return matching;
+  const base = parts.filter(part => !part.revision_of);
+  return base.length > 0 ? base : parts;
+}
+
+// Query a lookup's endpoint. A revision-aware IPN pattern tries the text as a whole
+// IPN first, then as a base IPN with a revision suffix.
+async function queryLookup(baseUrl, apiToken, lookup, text) {
+  const results = await queryApi(baseUrl, apiToken, lookup.apiEndpoint, lookup.apiParam, text, lookup.apiExtraParams);
+  const split = results.length === 0 ? splitRevision(text, lookup) : null;
+  if (!split) return results;
+  const parts = await queryApi(baseUrl, apiToken, lookup.apiEndpoint, lookup.apiParam, split.ipn, lookup.apiExtraParams);
+  return parts.length > 0 ? pickRevision(parts, split.revision) : [];
+}
+
+// Find the records for a reference through its matching pattern, or with no pattern
+// match try part IPN, supplier SKU and MPN, then stock serial number and batch code.
+// A fall-through pattern is tried first, then the fallback lookups for other record types.
+// Throws an ApiError rather than reporting "not found" when the server couldn't answer.
+async function resolveReference(baseUrl, apiToken, text, pattern) {
+  let lookups = pattern ? [pattern] : FALLBACK_LOOKUPS;
+  if (pattern && pattern.fallThrough) {
+    lookups = [pattern, ...FALLBACK_LOOKUPS.filter(lookup => lookup.name !== pattern.name)];
+  }
+  let failure = null;
+  for (const lookup of lookups) {
+    try {
+      const results = await queryLookup(baseUrl, apiToken, lookup, text);
+      if (results.length > 0) {
+        return { lookup, results };
+      }
+    } catch (error) {
+      // No point trying the other lookups without a connection or a valid token
+      if (!(error instanceof ApiError) || error.kind === 'network' || error.kind === 'timeout' || error.status === 401) {
+        throw error;
+      }
+      console.error(`${lookup.name} lookup by ${lookup.apiParam} failed:`, error);
+      // Beyond the matched pattern, a missing or forbidden endpoint just rules that record type out
+      if (lookup === pattern || error.kind === 'server') {
+        failure = failure || error;
+      }
+    }
+  }
+  if (failure) {
+    throw failure;
+  }
+  return { lookup: null, results: [] };
+}
+
+// Search the server for text that matched nothing else. One result opens directly and
+// several are offered in the chooser, grouped by kind. Returns false when nothing was found.
+async function openSearchResults(profile, text, openMode = null) {
+  const baseUrl = getProfileBaseUrl(profile);
+  const matches = await searchServer(baseUrl, profile.apiToken, text, SEARCH_FALLBACK_LIMIT);
+  const candidates = [];
+  for (const { type, record } of matches) {
+    const lookup = await getLookupByName(type, profile);
+    if (lookup) {
+      candidates.push({
+        type,
+        ...describeResult(type, record),
+        url: buildRecordUrl(baseUrl, lookup, record.pk),
+        group: SEARCH_GROUPS[type],
+        extra: { matchedField: 'search' }
+      });
+    }
+  }
+
+  if (candidates.length === 0) {
+    return false;
+  }
+  if (candidates.length === 1) {
+    await addToHistory(text, candidates[0].type, candidates[0].url, true, candidates[0].extra);
+    await openUrl(candidates[0].url, openMode);
+    return true;
+  }
+
+  candidates.sort((a, b) => SEARCH_GROUP_ORDER.indexOf(a.group) - SEARCH_GROUP_ORDER.indexOf(b.group));
+  await showChooser(text, candidates, { openMode, title: `${candidates.length} search results for "${text}"` });
+  return true;
+}
+
+// Local index settings - parts are fetched incrementally (newest first, down to the last
+// indexed part) and rebuilt daily so edited or deleted parts are picked up
+const INDEX_ALARM = 'index-sync';
+const DEFAULT_INDEX_SYNC_MINUTES = 60;
+const INDEX_FULL_SYNC_MS = 24 * 60 * 60 * 1000;
+const INDEX_PAGE_SIZE = 500;
+
+// What the local index holds: every part, and the open orders of each type
+const INDEX_SOURCES = [
+  {
+    type: 'Part',
+    endpoint: '/api/part/',
+    incremental: true,
+    toEntry: part => ({ pk: part.pk, reference: part.IPN, label: part.IPN, name: part.name, revision: part.revision })
+  },
+  { type: 'Build Order', endpoint: '/api/build/', params: { outstanding: true } },
+  { type: 'Purchase Order', endpoint: '/api/order/po/', params: { outstanding: true } },
+  { type: 'Sales Order', endpoint: '/api/order/so/', params: { outstanding: true } },
+  { type: 'Return Order', endpoint: '/api/order/ro/', params: { outstanding: true } }
+];
+
+// Keep only what lookups need from an order
+function orderIndexEntry(order) {
+  return { pk: order.pk, reference: order.reference, label: order.reference, name: order.title || order.description };
+}
+
+// Turn an index entry back into the shape of an API record
+function indexEntryToRecord(entry) {
+  if (entry.type === 'Part') {
+    return { pk: entry.pk, IPN: entry.label, name: entry.name, revision: entry.revision };
+  }
+  return { pk: entry.pk, reference: entry.label, description: entry.name };
+}
+
+async function isIndexEnabled() {
+  const { localIndexEnabled } = await getSettings('localIndexEnabled');
+  return !!localIndexEnabled;
+}
+
+// Fetch a paginated list, stopping early once a record is at or below stopAtPk
+async function fetchAllPages(baseUrl, apiToken, endpoint, params, stopAtPk = null) {
+  const records = [];
+  for (let offset = 0; ; offset += INDEX_PAGE_SIZE) {
+    const query = new URLSearchParams({ ...params, limit: INDEX_PAGE_SIZE, offset });
+    const data = await apiJson(`${baseUrl}${endpoint}?${query}`, apiToken);
+    const page = data.results || [];
+    for (const record of page) {
+      if (stopAtPk !== null && record.pk <= stopAtPk) {
+        return records;
+      }
+      records.push(record);
+    }
+    if (page.length < INDEX_PAGE_SIZE || !data.next) {
+      return records;
+    }
+  }
+}
+
+// Bring a profile's local index up to date
+async function syncIndex(profile, { full = false } = {}) {
+  const baseUrl = getProfileBaseUrl(profile);
+  const { apiToken } = profile;
+  if (!baseUrl || !apiToken) return;
+
+  const state = await getIndexState(profile.id);
+  const now = Date.now();
+  const rebuild = full || !state.lastFullSync || now - state.lastFullSync > INDEX_FULL_SYNC_MS;
+
+  try {
+    for (const source of INDEX_SOURCES) {
+      const toEntry = source.toEntry || orderIndexEntry;
+      if (source.incremental && !rebuild) {
+        const maxPk = await indexMaxPk(profile.id, source.type);
+        const records = await fetchAllPages(baseUrl, apiToken, source.endpoint, { ordering: '-pk' }, maxPk);
+        await indexStoreEntries(profile.id, source.type, records.map(toEntry));
+      } else {
+        const records = await fetchAllPages(baseUrl, apiToken, source.endpoint, source.params || {});
+        await indexStoreEntries(profile.id, source.type, records.map(toEntry), { replace: true });
+      }
+    }
+    await setIndexState({ ...state, lastSync: now, lastFullSync: rebuild ? now : state.lastFullSync, error: null });
+  } catch (error) {
+    console.error(`Index sync for profile "${profile.name}" failed:`, error);
+    await setIndexState({ ...state, error: error.message });
+    throw error;
+  }
+}
+
+// Sync the index of every configured profile (run by the scheduled alarm)
+async function syncAllIndexes() {
+  if (!await isIndexEnabled()) return;
+  const { profiles } = await loadProfiles();
+  for (const profile of profiles) {
+    try {
+      await syncIndex(profile);
+    } catch (error) {
+      // Already recorded in the profile's sync state
+    }
+  }
+}
+
+// Start or stop the scheduled index sync to match the settings
+async function scheduleIndexSync() {
+  const { localIndexEnabled, indexSyncInterval } = await getSettings(['localIndexEnabled', 'indexSyncInterval']);
+  await chrome.alarms.clear(INDEX_ALARM);
+  if (!localIndexEnabled) return;
+
+  chrome.alarms.create(INDEX_ALARM, { periodInMinutes: Number(indexSyncInterval) || DEFAULT_INDEX_SYNC_MINUTES });
+  syncAllIndexes();
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === INDEX_ALARM) {
+    syncAllIndexes();
+  }
+});
+
+// Resolve a part IPN or open order reference from the local index, if it is enabled
+async function resolveFromIndex(profile, text, pattern) {
+  const lookup = pattern || PART_LOOKUP;
+  if (!INDEX_TYPES.includes(lookup.name) || !await isIndexEnabled()) {
+    return { lookup: null, results: [] };
+  }
+
+  try {
+    const entries = await indexFindReference(profile.id, text, lookup.name);
+    if (entries.length > 0) {
+      return { lookup, results: entries.map(indexEntryToRecord) };
+    }
+    const split = splitRevision(text, lookup);
+    const parts = split ? await indexFindReference(profile.id, split.ipn, lookup.name) : [];
+    if (parts.length > 0) {
+      return { lookup, results: pickRevision(parts.map(indexEntryToRecord), split.revision) };
+    }
+  } catch (error) {
+    console.error('Local index lookup failed:', error);
+  }
+  return { lookup: null, results: [] };
+}
+
+// Resolve a reference from the local index, falling back to the API on a miss
+async function lookupReference(profile, text, pattern) {
+  const indexed = await resolveFromIndex(profile, text, pattern);
+  if (indexed.lookup) {
+    return indexed;
+  }
+  if (profile.tokensLocked) {
+    throw new ApiError('locked', 'The API token is locked until you enter your passphrase');
+  }
+  return resolveReference(getProfileBaseUrl(profile), profile.apiToken, text, pattern);
+}
+
+// Fetch a record's detail view, keeping the list result if there is no detail route
+async function fetchRecordDetail(baseUrl, apiToken, lookup, record) {
+  const query = new URLSearchParams(lookup.apiExtraParams || {});
+  try {
+    return { ...record, ...await apiJson(`${baseUrl}${lookup.apiEndpoint}${record.pk}/?${query}`, apiToken) };
+  } catch (error) {
+    console.error(`Failed to fetch ${lookup.name} ${record.pk}:`, error);
+  }
+  return record;
+}
+
+// Download an image and return it as a data URL (pages can't send the token). Only images
+// on the InvenTree server get the API token - one hosted elsewhere is fetched without it.
+async function fetchImageDataUrl(baseUrl, apiToken, path) {
+  if (!path) return null;
+  try {
+    const url = /^https?:/.test(path) ? path : `${baseUrl}${path}`;
+    let response;
+    if (new URL(url).origin === new URL(baseUrl).origin) {
+      response = await apiFetch(url, apiToken);
+    } else {
+      response = await fetch(url, { credentials: 'omit', signal: AbortSignal.timeout(API_TIMEOUT_MS) });
+      if (!response.ok) {
+        throw new Error(`Image request failed with status ${response.status}`);
+      }
+    }
+
+    const type = response.headers.get('Content-Type') || 'image/png';
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${type};base64,${btoa(binary)}`;
+  } catch (error) {
+    console.error('Failed to fetch image:', error);
+    return null;
+  }
+}
+
+// Outstanding orders of these rule types are listed as related to a part
+const RELATED_ORDER_RULES = ['buildOrder', 'purchaseOrder', 'salesOrder'];
+const RELATED_ORDER_LIMIT = 5;
+
+// Fetch outstanding orders involving a part
+async function fetchRelatedOrders(baseUrl, apiToken, profile, partId) {
+  const patterns = (await getPatterns(profile)).filter(pattern => RELATED_ORDER_RULES.includes(pattern.key));
+  const related = [];
+
+  for (const pattern of patterns) {
+    try {
+      const orders = await queryApi(baseUrl, apiToken, pattern.apiEndpoint, 'part', partId, {
+        ...pattern.apiExtraParams,
+        outstanding: true,
+        limit: RELATED_ORDER_LIMIT
+      });
+      for (const order of orders) {
+        related.push({
+          type: pattern.name,
+          ...describeResult(pattern.name, order),
+          status: order.status_text,
+          url: buildRecordUrl(baseUrl, pattern, order.pk)
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to fetch related ${pattern.name}s:`, error);
+    }
+  }
+
+  return related;
+}
+
+// Resolve a reference and summarise its first matching record, without opening anything.
+// With `related` set, outstanding orders for the part are included too.
+async function getRecordPreview(text, { related = false } = {}) {
+  const profile = await resolveLookupProfile(text, null);
+  const baseUrl = getProfileBaseUrl(profile);
+  const { apiToken } = profile;
+  if (!baseUrl || (!apiToken && !profile.tokensLocked)) {
+    return { status: 'unconfigured', message: 'Set up your InvenTree server in the extension settings.' };
+  }
+
+  const { reference, pattern } = await pickReference(text, profile);
+  const resolved = await lookupReference(profile, reference, pattern);
+  if (!resolved.lookup) {
+    return { status: 'notFound', reference, message: `${reference} was not found in InvenTree.` };
+  }
+  // The index can find a record while locked, but its details come from the server
+  if (profile.tokensLocked) {
+    throw new ApiError('locked', 'The API token is locked until you enter your passphrase');
+  }
+
+  const { lookup, results } = await applyMatchTarget(resolved.lookup, resolved.results);
+  const record = await fetchRecordDetail(baseUrl, apiToken, lookup, results[0]);
+  const { title, subtitle, fields, imagePath } = summarizeRecord(lookup.name, record);
+  const partId = lookup.name === 'Part' ? record.pk : (lookup.name === 'Stock Item' ? record.part : null);
+
+  return {
+    status: 'found',
+    reference,
+    type: lookup.name,
+    url: buildRecordUrl(baseUrl, lookup, record.pk),
+    matchCount: results.length,
+    title,
+    subtitle,
+    fields,
+    image: await fetchImageDataUrl(baseUrl, apiToken, imagePath),
+    related: related && partId ? await fetchRelatedOrders(baseUrl, apiToken, profile, partId) : []
+  };
+}
+
+// Open a record picked from a hover card or preview
+async function openRecord(reference, type, url, openMode = null) {
+  await addToHistory(reference, type, url, true);
+  await openUrl(url, openMode);
+}
+
+// Stock adjustments offered as quick actions, with the stock API endpoint each posts to
+const STOCK_ACTIONS = {
+  count: { label: 'Count', endpoint: '/api/stock/count/' },
+  add: { label: 'Add', endpoint: '/api/stock/add/' },
+  remove: { label: 'Remove', endpoint: '/api/stock/remove/' },
+  transfer: { label: 'Transfer', endpoint: '/api/stock/transfer/' }
+};
+
+// Most stock items of a part offered for quick actions
+const MAX_STOCK_TARGETS = 50;
+
+// Whether the token's user may adjust stock: the 'change' permission of the stock role
+async function canAdjustStock(baseUrl, apiToken) {
+  const user = await apiJson(`${baseUrl}/api/user/roles/`, apiToken);
+  return !!user.is_superuser || !!(user.roles && (user.roles.stock || []).includes('change'));
+}
+
+// A stock item as offered in the quick actions: where it is and how much is there
+function stockTarget(item) {
+  const location = item.location_detail ? item.location_detail.pathstring || item.location_detail.name : 'No location';
+  const details = [location, item.serial ? `#${item.serial}` : null, item.batch ? `batch ${item.batch}` : null];
+  return { pk: item.pk, label: details.filter(Boolean).join(' - '), quantity: Number(item.quantity) };
+}
+
+// Resolve text to a part or stock item and list the stock items quick actions can adjust
+async function getStockTargets(text, profileId = null) {
+  const profile = await resolveLookupProfile(text, profileId);
+  const baseUrl = getProfileBaseUrl(profile);
+  const { apiToken } = profile;
+  if (profile.tokensLocked) {
+    throw new ApiError('locked', 'The API token is locked until you enter your passphrase');
+  }
+  if (!baseUrl || !apiToken) {
+    return { status: 'unconfigured', message: 'Set up your InvenTree server in the extension settings.' };
+  }
+
+  const { reference, pattern } = await pickReference(text, profile);
+  const resolved = await lookupReference(profile, reference, pattern);
+  if (!resolved.lookup) {
+    return { status: 'notFound', reference, message: `${reference} was not found in InvenTree.` };
+  }
+
+  const { lookup, results } = await applyMatchTarget(resolved.lookup, resolved.results);
+  const record = results[0];
+  let items;
+  if (lookup.name === 'Stock Item') {
+    items = [await apiJson(`${baseUrl}/api/stock/${record.pk}/?location_detail=true`, apiToken)];
+  } else if (lookup.name === 'Part') {
+    const query = new URLSearchParams({ part: record.pk, in_stock: true, location_detail: true, limit: MAX_STOCK_TARGETS });
+    const data = await apiJson(`${baseUrl}/api/stock/?${query}`, apiToken);
+    items = data.results || data;
+  } else {
+    return { status: 'unsupported', reference, message: `Stock actions need a part or stock item, not a ${lookup.name}.` };
+  }
+
+  return {
+    status: 'found',
+    profileId: profile.id,
+    reference,
+    type: lookup.name,
+    title: describeResult(lookup.name, record).reference,
+    items: items.map(stockTarget),
+    canAdjust: await canAdjustStock(baseUrl, apiToken)
+  };
+}
+
+// Find a stock location by name or full path, for transfers
+async function resolveStockLocation(baseUrl, apiToken, name) {
+  const query = new URLSearchParams({ search: name, limit: 20 });
+  const data = await apiJson(`${baseUrl}/api/stock/location/?${query}`, apiToken);
+  const locations = data.results || data;
+  const wanted = name.toUpperCase();
+  const exact = locations.filter(location =>
+    location.name.toUpperCase() === wanted || (location.pathstring || '').toUpperCase() === wanted);
+  const matches = exact.length > 0 ? exact : locations;
+
+  if (matches.length === 0) {
+    throw new Error(`No stock location matches "${name}"`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Several stock locations match "${name}" - enter the full path, e.g. "${matches[0].pathstring}"`);
+  }
+  return matches[0];
+}
+
+// Count, add, remove or transfer stock of one stock item and return its new quantity.
+// The adjustment is recorded in history against the reference that was looked up.
+async function adjustStock({ profileId, reference, type, adjustment, pk, quantity, location }) {
+  const profile = await getProfile(profileId);
+  const baseUrl = getProfileBaseUrl(profile);
+  const { apiToken } = profile;
+  const stockAction = STOCK_ACTIONS[adjustment];
+  if (!stockAction) {
+    throw new Error(`Unknown stock action: ${adjustment}`);
+  }
+  if (!await canAdjustStock(baseUrl, apiToken)) {
+    throw new ApiError('auth', 'Your InvenTree account is not allowed to adjust stock', 403);
+  }
+
+  const body = { items: [{ pk, quantity }], notes: `${stockAction.label} from InvenTree Lookup` };
+  let target = null;
+  let before = null;
+  if (adjustment === 'transfer') {
+    target = await resolveStockLocation(baseUrl, apiToken, location);
+    body.location = target.pk;
+    before = await apiJson(`${baseUrl}/api/stock/${pk}/`, apiToken);
+  }
+  await apiJson(`${baseUrl}${stockAction.endpoint}`, apiToken, { method: 'POST', body: JSON.stringify(body) });
+
+  // A partial transfer splits the item, leaving the rest behind under the same pk, but a
+  // full transfer moves the item itself. An item emptied by a removal may be deleted by the server.
+  let resultQuantity = 0;
+  try {
+    const item = await apiJson(`${baseUrl}/api/stock/${pk}/`, apiToken);
+    const movedAway = before && (quantity >= Number(before.quantity) || item.location !== before.location);
+    resultQuantity = movedAway ? 0 : Number(item.quantity);
+  } catch (error) {
+    if (!(error instanceof ApiError) || error.kind !== 'notFound') throw error;
+  }
+  const url = buildRecordUrl(baseUrl, STOCK_ITEM_LOOKUP, pk);
+  await addToHistory(reference, type, url, true, {
+    stockAction: adjustment,
+    quantity,
+    resultQuantity,
+    location: target ? target.pathstring || target.name : undefined
+  });
+
+  return { status: 'done', quantity: resultQuantity, location: target ? target.pathstring || target.name : null };
+}
+
+// Open the quick stock actions for some text in a small window
+async function showStockActions(text, profileId = null) {
+  const query = new URLSearchParams({ text });
+  if (profileId) {
+    query.set('profile', profileId);
+  }
+  await chrome.windows.create({
+    url: chrome.runtime.getURL(`stock.html?${query}`),
+    type: 'popup',
+    width: 420,
+    height: 420
+  });
+}
+
+// Pick the profile for a lookup: an explicit choice, else the active profile -
+// or, with auto-routing on, the first profile whose patterns match the text
+async function resolveLookupProfile(searchText, profileId) {
+  if (profileId) {
+    return getProfile(profileId);
+  }
+
+  const { profiles, activeProfileId } = await loadProfiles();
+  const active = profiles.find(profile => profile.id === activeProfileId) || profiles[0];
+  const { autoRouteProfiles } = await getSettings('autoRouteProfiles');
+  if (!autoRouteProfiles) {
+    return active;
+  }
+
+  for (const profile of [active, ...profiles.filter(profile => profile !== active)]) {
+    if ((await extractReferences(searchText, profile)).length > 0) {
+      return profile;
+    }
+  }
+  return active;
+}
+
+// Most references resolved from a single multi-reference selection
+const MAX_BATCH_REFERENCES = 100;
+
+// Split a selected list (table column, one per line, comma-separated) into distinct
+// references. Only tokens containing a digit count, so ordinary words are left out.
+// A sentence is not a list - its references are offered by extractReferences instead.
+function splitReferences(text) {
+  const normalised = normaliseReferenceText(text);
+  const lines = normalised.split(/[\n\r\t,;|]+/).filter(line => line.trim());
+  const words = normalised.trim().split(/\s+/);
+  if (lines.length < 2 && !words.every(word => /\d/.test(word))) {
+    return [];
+  }
+
+  const tokens = normalised.split(/[\s,;|]+/)
+    .map(token => token.replace(/^[^A-Z0-9]+|[^A-Z0-9]+$/g, ''))
+    .filter(token => /\d/.test(token));
+  return [...new Set(tokens)].slice(0, MAX_BATCH_REFERENCES);
+}
+
+// Resolve one reference of a batch into summary rows (one per matching record)
+async function resolveBatchReference(reference, profileId) {
+  const profile = await resolveLookupProfile(reference, profileId);
+  const baseUrl = getProfileBaseUrl(profile);
+  const { apiToken } = profile;
+  if (!baseUrl || (!apiToken && !profile.tokensLocked)) {
+    return [{ reference, status: 'notFound', description: 'Server not configured' }];
+  }
+
+  const { reference: resolvedReference, pattern } = await pickReference(reference, profile);
+  const resolved = await lookupReference(profile, resolvedReference, pattern);
+  if (!resolved.lookup) {
+    return [{ reference, status: 'notFound', type: pattern ? pattern.name : '' }];
+  }
+
+  const matchedField = resolved.lookup.matchedField;
+  const { lookup, results } = await applyMatchTarget(resolved.lookup, resolved.results);
+  return results.map(record => {
+    const summary = describeResult(lookup.name, record);
+    return {
+      reference,
+      status: results.length > 1 ? 'multiple' : 'found',
+      type: lookup.name,
+      match: summary.reference,
+      description: summary.description,
+      url: buildRecordUrl(baseUrl, lookup, record.pk),
+      matchedField
+    };
+  });
+}
+
+// Resolve several references and show them on a summary page, which fills in as results arrive
+async function performBatchLookup(references, profileId) {
+  const id = crypto.randomUUID();
+  const key = `batch-${id}`;
+  const batch = { references, rows: [], done: false };
+  await chrome.storage.session.set({ [key]: batch });
+  chrome.tabs.create({ url: chrome.runtime.getURL(`batch.html?id=${id}`) });
+
+  for (const reference of references) {
+    try {
+      batch.rows.push(...await resolveBatchReference(reference, profileId));
+    } catch (error) {
+      console.error(`Batch lookup of ${reference} failed:`, error);
+      batch.rows.push({ reference, status: 'error', description: error.message });
+    }
+    await chrome.storage.session.set({ [key]: batch });
+  }
+
+  batch.done = true;
+  await chrome.storage.session.set({ [key]: batch });
+}
+
+// Open records chosen on the batch summary page, optionally in a tab group (Chrome)
+async function openBatchRecords(records, group) {
+  const tabIds = [];
+  for (const record of records) {
+    await addToHistory(record.reference, record.type, record.url, true,
+      record.matchedField ? { matchedField: record.matchedField } : {});
+    const tab = await chrome.tabs.create({ url: record.url, active: false });
+    tabIds.push(tab.id);
+  }
+
+  if (group && tabIds.length > 0 && chrome.tabGroups) {
+    const groupId = await chrome.tabs.group({ tabIds });
+    await chrome.tabGroups.update(groupId, { title: `InvenTree (${tabIds.length})` });
+  }
+}
+
+// Notification wording for each kind of lookup failure
+const FAILURE_NOTICES = {
+  auth: { title: 'InvenTree token rejected', hint: 'Click to open the settings.' },
+  locked: { title: 'InvenTree token locked', hint: 'Click to unlock it in the settings.' },
+  network: { title: 'InvenTree server unreachable', hint: 'Check the server URL and your connection.' },
+  timeout: { title: 'InvenTree server not responding', hint: 'Try again in a moment.' },
+  server: { title: 'InvenTree server error', hint: 'Try again, or check the server logs.' },
+  notFound: { title: 'InvenTree endpoint not found', hint: 'Check the API endpoint of your lookup rules.' }
+};
+
+// Tell the user why a lookup failed - a notification and a badge on the toolbar button -
+// and record the reason in history
+async function reportLookupFailure(reference, type, url, error) {
+  console.error(`Lookup of ${reference} failed:`, error);
+  const kind = error instanceof ApiError ? error.kind : 'server';
+  const notice = FAILURE_NOTICES[kind];
+
+  await addToHistory(reference, type, url, false, { failure: kind, failureMessage: error.message });
+  chrome.action.setBadgeText({ text: '!' });
+  chrome.action.setBadgeBackgroundColor({ color: '#d32f2f' });
+  chrome.action.setTitle({ title: `${chrome.runtime.getManifest().name} - ${notice.title}` });
+  chrome.notifications.create(`lookup-failure-${kind}-${Date.now()}`, {
+    type: 'basic',
+    iconUrl: 'icon128.png',
+    title: notice.title,
+    message: `${reference}: ${error.message}. ${notice.hint}`
+  });
+}
+
+// Clear the failure badge once lookups work again
+function clearFailureBadge() {
+  chrome.action.setBadgeText({ text: '' });
+  chrome.action.setTitle({ title: chrome.runtime.getManifest().name });
+}
+
+// A rejected or locked token can only be fixed in the settings
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith('lookup-failure-auth-') || notificationId.startsWith('lookup-failure-locked-')) {
+    chrome.runtime.openOptionsPage();
+  }
+  chrome.notifications.clear(notificationId);
+});
+
+// Main lookup function - used by context menu, keyboard commands, and omnibox
+async function performLookup(searchText, tabId = null, profileId = null, openMode = null) {
+  const profile = await resolveLookupProfile(searchText, profileId);
+  const baseUrl = getProfileBaseUrl(profile);
+
+  // Check if URL is configured
+  if (!baseUrl) {
+    chrome.runtime.openOptionsPage();
     return;
   }
 
-  // No order pattern match - try parts API
-  if (apiToken) {
+  // Several references selected at once - resolve each of them
+  const references = splitReferences(searchText);
+  if (references.length > 1) {
+    await performBatchLookup(references, profileId);
+    return;
+  }
+
+  // Several equally good references in the selected text - let the user pick one
+  const { reference: selectedText, pattern, candidates } = await pickReference(searchText, profile);
+  const best = candidates.filter(candidate => candidate.exact === candidates[0].exact);
+  if (best.length > 1) {
+    await showChooser(searchText.trim(), best.map(candidate => ({
+      reference: candidate.reference,
+      type: candidate.pattern.name,
+      description: candidate.exact ? '' : `Selected as ${candidate.selected}`,
+      lookup: candidate.reference
+    })), { profileId: profile.id, openMode, title: `${best.length} references in the selection` });
+    return;
+  }
+
+  const fallbackUrl = getFallbackUrl(profile);
+  const { apiToken } = profile;
+
+  // A locked token still gets the local index before the lookup reports it is locked
+  if (apiToken || profile.tokensLocked) {
+    let resolved;
+    try {
+      resolved = await lookupReference(profile, selectedText, pattern);
+    } catch (error) {
+      await reportLookupFailure(selectedText, pattern ? pattern.name : 'Search', `${baseUrl}${fallbackUrl}`, error);
+      return;
+    }
+
+    const { lookup, results } = resolved;
+    if (lookup) {
+      await openResults(baseUrl, lookup, selectedText, results, openMode);
+      return;
+    }
+
+    // Pattern matched but item not found - go to the relevant index page
+    if (pattern && !pattern.fallThrough) {
+      const indexUrl = `${baseUrl}${pattern.indexUrl || fallbackUrl}`;
+      await addToHistory(selectedText, pattern.name, indexUrl, false, { failure: 'notFound' });
+      await openUrl(indexUrl, openMode);
+      return;
+    }
+
+    // Nothing matched a known field - try InvenTree's search across all models
     try {
-      const result = await queryApi(baseUrl, apiToken, '/api/part/', 'IPN', selectedText);
-      if (result) {
-        const url = `${baseUrl}/web/part/${result.pk}/details`;
-        await addToHistory(selectedText, 'Part', url, true);
-        chrome.tabs.create({ url });
+      if (await openSearchResults(profile, searchText.trim(), openMode)) {
         return;
       }
     } catch (error) {
-      console.error('Part lookup failed:', error);
+      console.error('Search fallback failed:', error);
     }
   }
 
-  // No match found - copy to clipboard and open fallback
+  // No match found - open the landing page searching for the text, keeping a copy
+  // on the clipboard in case the page doesn't pick the search up
+  const searchUrl = `${baseUrl}${fallbackUrl}?${new URLSearchParams({ [LANDING_SEARCH_PARAM]: searchText.trim() })}`;
   await copyToClipboard(searchText.trim(), tabId);
-  await addToHistory(searchText.trim(), 'Search', `${baseUrl}${fallbackUrl}`, false);
-  chrome.tabs.create({
-    url: `${baseUrl}${fallbackUrl}`
-  });
+  await addToHistory(searchText.trim(), 'Search', searchUrl, false, { failure: 'notFound' });
+  await openUrl(searchUrl, openMode);
 }
 
 // Handle context menu click
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-  if (info.menuItemId !== 'search-inventree') return;
-  await performLookup(info.selectionText, tab.id);
+  const menuItemId = String(info.menuItemId);
+  if (menuItemId === 'search-inventree') {
+    await performLookup(info.selectionText, tab.id);
+  } else if (menuItemId.startsWith('lookup-as-')) {
+    await lookupAs(info.selectionText, menuItemId.slice('lookup-as-'.length));
+  } else if (menuItemId === 'stock-actions') {
+    await showStockActions(info.selectionText);
+  } else if (menuItemId.startsWith('search-profile-')) {
+    await performLookup(info.selectionText, tab.id, menuItemId.slice('search-profile-'.length));
+  }
 });
 
+// Runs in the page: the selected text, or the selection inside the focused text field
+function readPageSelection() {
+  const field = document.activeElement;
+  if (field && typeof field.value === 'string' && typeof field.selectionStart === 'number' &&
+      field.selectionEnd > field.selectionStart) {
+    return field.value.slice(field.selectionStart, field.selectionEnd);
+  }
+  return String(window.getSelection());
+}
+
+// The text selected in a tab, from whichever frame has a selection
+async function getTabSelection(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: readPageSelection
+  });
+  const found = results.map(result => result.result).find(text => text && text.trim());
+  return found || '';
+}
+
+// Read the clipboard through an offscreen document, as service workers have no clipboard access
+async function readClipboard() {
+  if (!await chrome.offscreen.hasDocument()) {
+    await chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: [chrome.offscreen.Reason.CLIPBOARD],
+      justification: 'Read the clipboard for the look up clipboard command'
+    });
+  }
+  try {
+    return await chrome.runtime.sendMessage({ action: 'readClipboard', target: 'offscreen' }) || '';
+  } finally {
+    await chrome.offscreen.closeDocument();
+  }
+}
+
+// Tell the user a keyboard command had nothing to look up
+function notifyNothingToLookUp(message) {
+  chrome.notifications.create(`lookup-empty-${Date.now()}`, {
+    type: 'basic',
+    iconUrl: 'icon128.png',
+    title: 'Nothing to look up',
+    message
+  });
+}
+
+// Handle keyboard commands - both can be rebound in the browser's shortcut settings
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === 'lookup-selection') {
+    let text = '';
+    try {
+      text = tab ? await getTabSelection(tab.id) : '';
+    } catch (error) {
+      console.error('Failed to read the selection:', error);
+    }
+    if (!text.trim()) {
+      notifyNothingToLookUp('Select a reference on the page first.');
+      return;
+    }
+    await performLookup(text, tab.id);
+  } else if (command === 'lookup-clipboard') {
+    let text = '';
+    try {
+      text = await readClipboard();
+    } catch (error) {
+      console.error('Failed to read the clipboard:', error);
+    }
+    if (!text.trim()) {
+      notifyNothingToLookUp('The clipboard has no text in it.');
+      return;
+    }
+    await performLookup(text, tab ? tab.id : null);
+  }
+});
+
+
+// Omnibox suggestion settings
+const SUGGEST_DEBOUNCE_MS = 250;
+const SUGGEST_LIMIT = 8;
+
+let suggestTimer = null;
+let suggestController = null;
+
+// Records offered as omnibox suggestions, keyed by suggestion content
+let omniboxSuggestions = new Map();
+
+// Escape text for use in omnibox suggestion markup
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Format the description shown for a server suggestion
+function formatSuggestion(type, summary) {
+  const description = summary.description ? ` - ${escapeXml(summary.description)}` : '';
+  return `<match>${escapeXml(summary.reference)}</match> <dim>${escapeXml(type)}${description}</dim>`;
+}
+
+// Offer matching records as omnibox suggestions, remembering where each one leads
+async function showSuggestions(profile, baseUrl, matches, suggest) {
+  const suggestions = new Map();
+  for (const { type, record } of matches.slice(0, SUGGEST_LIMIT)) {
+    const lookup = await getLookupByName(type, profile);
+    if (!lookup) continue;
+    const summary = describeResult(type, record);
+    const content = `${summary.reference} (${type} ${record.pk})`;
+    suggestions.set(content, {
+      reference: summary.reference,
+      type,
+      url: buildRecordUrl(baseUrl, lookup, record.pk),
+      description: formatSuggestion(type, summary)
+    });
+  }
+
+  omniboxSuggestions = suggestions;
+  suggest([...suggestions].map(([content, { description }]) => ({ content, description })));
+}
+
+// Suggest records from the local index straight away - returns false if nothing matched
+async function suggestFromIndex(text, suggest) {
+  const profile = await getProfile();
+  const baseUrl = getProfileBaseUrl(profile);
+  if (!baseUrl || !await isIndexEnabled()) return false;
+
+  try {
+    const entries = await indexSearch(profile.id, text, SUGGEST_LIMIT);
+    if (entries.length === 0) return false;
+    await showSuggestions(profile, baseUrl, entries.map(entry => ({ type: entry.type, record: indexEntryToRecord(entry) })), suggest);
+    return true;
+  } catch (error) {
+    console.error('Local index search failed:', error);
+    return false;
+  }
+}
+
+// Query the server for records matching the omnibox text
+async function suggestFromServer(text, suggest) {
+  const profile = await getProfile();
+  const baseUrl = getProfileBaseUrl(profile);
+  const { apiToken } = profile;
+  if (!baseUrl || !apiToken) return;
+
+  const controller = new AbortController();
+  suggestController = controller;
+
+  try {
+    const matches = await searchServer(baseUrl, apiToken, text, SUGGEST_LIMIT, controller.signal);
+    if (controller.signal.aborted) return;
+    await showSuggestions(profile, baseUrl, matches, suggest);
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Omnibox search failed:', error);
+    }
+  }
+}
 
 // Handle omnibox input
 chrome.omnibox.onInputEntered.addListener(async (text) => {
+  // A server suggestion was chosen - go straight to its detail page
+  const suggestion = omniboxSuggestions.get(text);
+  if (suggestion) {
+    await addToHistory(suggestion.reference, suggestion.type, suggestion.url, true);
+    await openUrl(suggestion.url);
+    return;
+  }
   await performLookup(text);
 });
 
 // Provide suggestions in omnibox
 chrome.omnibox.onInputChanged.addListener(async (text, suggest) => {
-  const pattern = await findMatchingPattern(text.trim().toUpperCase());
-  if (pattern) {
-    suggest([{
-      content: text,
-      description: `Look up ${pattern.name}: <match>${text.toUpperCase()}</match>`
-    }]);
-  } else {
-    suggest([{
-      content: text,
-      description: `Look up in InvenTree: <match>${text.toUpperCase()}</match>`
-    }]);
+  clearTimeout(suggestTimer);
+  if (suggestController) {
+    suggestController.abort();
+    suggestController = null;
   }
+
+  const query = text.trim();
+  const { pattern } = await pickReference(query, await getProfile());
+  chrome.omnibox.setDefaultSuggestion({
+    description: pattern
+      ? `Look up ${pattern.name}: <match>%s</match>`
+      : 'Look up in InvenTree: <match>%s</match>'
+  });
+
+  if (query.length < 2) {
+    suggest([]);
+    return;
+  }
+
+  // Answer from the local index when it has matches, else ask the server
+  if (await suggestFromIndex(query, suggest)) return;
+
+  // Debounce so we only hit the server once typing pauses
+  suggestTimer = setTimeout(() => suggestFromServer(query, suggest), SUGGEST_DEBOUNCE_MS);
 });
 
 // Set default omnibox suggestion
@@ -264,10 +1730,52 @@ chrome.omnibox.setDefaultSuggestion({
   description: 'InvenTree Lookup: <match>%s</match>'
 });
 
-// Handle messages from popup
+// Unanchored regex sources for the active profile's lookup rules, used to find references in pages.
+// The serial number and IPN patterns are left out - they are often loose enough to link ordinary
+// numbers and words, each of which would then fetch a preview on hover.
+async function getPageMatchers() {
+  const patterns = (await getPatterns(await getProfile())).filter(pattern => pattern.key);
+  return patterns.map(pattern => ({ name: pattern.name, source: unanchorRegex(pattern.regex.source) }));
+}
+
+// Handle messages from popup, chooser and content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'lookup' && message.text) {
-    performLookup(message.text);
+    performLookup(message.text, sender.tab ? sender.tab.id : null, message.profileId, message.openMode);
+  } else if (message.action === 'choose' && message.id) {
+    openChoice(message.id, message.index);
+  } else if (message.action === 'openRecord' && message.url) {
+    openRecord(message.reference, message.type, message.url, message.background ? 'background' : message.openMode);
+  } else if (message.action === 'openUrl' && message.url) {
+    openUrl(message.url, message.openMode);
+  } else if (message.action === 'openBatch' && message.records) {
+    openBatchRecords(message.records, message.group);
+  } else if (message.action === 'syncIndex' && message.profileId) {
+    getProfile(message.profileId)
+      .then(profile => syncIndex(profile, { full: true }))
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, message: error.message }));
+    return true;
+  } else if (message.action === 'getMatchers') {
+    getPageMatchers().then(sendResponse);
+    return true;
+  } else if (message.action === 'stockTargets' && message.text) {
+    getStockTargets(message.text, message.profileId)
+      .then(sendResponse)
+      .catch(error => sendResponse({ status: 'error', kind: error.kind, message: error.message }));
+    return true;
+  } else if (message.action === 'adjustStock' && message.pk) {
+    adjustStock(message)
+      .then(sendResponse)
+      .catch(error => sendResponse({ status: 'error', kind: error.kind, message: error.message }));
+    return true;
+  } else if (message.action === 'showStockActions' && message.text) {
+    showStockActions(message.text, message.profileId);
+  } else if (message.action === 'preview' && message.text) {
+    getRecordPreview(message.text, { related: message.related })
+      .then(sendResponse)
+      .catch(error => sendResponse({ status: 'error', kind: error.kind, message: error.message }));
+    return true;
   }
 });
 
@@ -0,0 +1,394 @@
+// InvenTree Item Lookup - Content script that links recognised references on allowlisted pages
+// and shows a preview card when hovering over them
+
+(() => {
+  const HIGHLIGHT_CLASS = 'inventree-lookup-ref';
+  const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT', 'SELECT', 'OPTION', 'A', 'BUTTON', 'CODE', 'PRE']);
+  const SCAN_DELAY_MS = 200;
+  const PREVIEW_DELAY_MS = 400;
+  const HIDE_DELAY_MS = 300;
+
+  let matcher = null;
+  let pendingRoots = new Set();
+  let scanTimer = null;
+
+  // Hover card state - previews are cached per reference for the life of the page
+  const previews = new Map();
+  let cardHost = null;
+  let cardBody = null;
+  let hoverTimer = null;
+  let hideTimer = null;
+  let hoveredLink = null;
+
+  const CARD_STYLE = `
+    .card {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 12px;
+      color: #333;
+      background: white;
+      border: 1px solid #ccc;
+      border-radius: 6px;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+      width: 280px;
+      overflow: hidden;
+    }
+    .header {
+      display: flex;
+      gap: 8px;
+      padding: 10px;
+      background: #f5f5f5;
+      border-bottom: 1px solid #eee;
+    }
+    .header img {
+      width: 40px;
+      height: 40px;
+      object-fit: contain;
+      border-radius: 4px;
+      background: white;
+      flex-shrink: 0;
+    }
+    .title {
+      font-weight: 600;
+      font-size: 13px;
+    }
+    .type {
+      font-size: 10px;
+      color: white;
+      background: rgb(139, 163, 209);
+      border-radius: 3px;
+      padding: 1px 5px;
+      margin-left: 4px;
+      font-weight: normal;
+    }
+    .subtitle {
+      color: #666;
+      font-size: 11px;
+      margin-top: 2px;
+    }
+    .fields {
+      display: grid;
+      grid-template-columns: auto 1fr;
+      gap: 3px 10px;
+      padding: 8px 10px;
+    }
+    .label {
+      color: #777;
+    }
+    .note {
+      padding: 0 10px 8px;
+      color: #777;
+      font-size: 11px;
+    }
+    .message {
+      padding: 12px 10px;
+      color: #666;
+    }
+    .actions {
+      display: flex;
+      gap: 6px;
+      padding: 8px 10px;
+      border-top: 1px solid #eee;
+    }
+    button {
+      font: inherit;
+      border: none;
+      border-radius: 4px;
+      padding: 5px 10px;
+      cursor: pointer;
+      background: #4a90d9;
+      color: white;
+    }
+    button.secondary {
+      background: #6c757d;
+    }
+  `;
+
+  // Add the link styling once per page
+  function injectStyle() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .${HIGHLIGHT_CLASS} {
+        color: inherit;
+        cursor: pointer;
+        border-bottom: 1px dotted rgb(139, 163, 209);
+        background: rgba(139, 163, 209, 0.15);
+        border-radius: 2px;
+      }
+      .${HIGHLIGHT_CLASS}:hover {
+        background: rgba(139, 163, 209, 0.35);
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // Check whether a text node sits somewhere we must not rewrite
+  function shouldSkip(node) {
+    for (let el = node.parentElement; el; el = el.parentElement) {
+      if (SKIP_TAGS.has(el.tagName) || el.isContentEditable || el.classList.contains(HIGHLIGHT_CLASS)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Create the clickable element for one reference
+  function createLink(reference) {
+    const link = document.createElement('span');
+    link.className = HIGHLIGHT_CLASS;
+    link.textContent = reference;
+    link.dataset.inventreeRef = reference;
+    link.title = `Look up ${reference} in InvenTree`;
+    link.setAttribute('role', 'link');
+    link.tabIndex = 0;
+    return link;
+  }
+
+  // Wrap every reference in a text node
+  function highlightTextNode(node) {
+    const text = node.nodeValue;
+    matcher.lastIndex = 0;
+    if (!matcher.test(text)) return;
+
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+    matcher.lastIndex = 0;
+    for (const match of text.matchAll(matcher)) {
+      if (match.index > lastIndex) {
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+      }
+      fragment.appendChild(createLink(match[0]));
+      lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) {
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+    node.parentNode.replaceChild(fragment, node);
+  }
+
+  // Scan a subtree for references
+  function scan(root) {
+    if (!root.isConnected) return;
+    if (root.nodeType === Node.TEXT_NODE) {
+      if (!shouldSkip(root)) highlightTextNode(root);
+      return;
+    }
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (node.nodeValue.trim() && !shouldSkip(node))
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_REJECT
+    });
+
+    // Collect first - replacing nodes while walking confuses the walker
+    const nodes = [];
+    while (walker.nextNode()) {
+      nodes.push(walker.currentNode);
+    }
+    nodes.forEach(highlightTextNode);
+  }
+
+  // Scan nodes added since the last pass
+  function flushPending() {
+    scanTimer = null;
+    const roots = pendingRoots;
+    pendingRoots = new Set();
+    roots.forEach(scan);
+  }
+
+  // Queue changed nodes from dynamic pages, ignoring our own insertions
+  function observeMutations() {
+    const observer = new MutationObserver(mutations => {
+      for (const mutation of mutations) {
+        if (mutation.type === 'characterData') {
+          pendingRoots.add(mutation.target);
+          continue;
+        }
+        for (const node of mutation.addedNodes) {
+          if (node === cardHost) continue;
+          if (node.nodeType === Node.ELEMENT_NODE && node.classList.contains(HIGHLIGHT_CLASS)) continue;
+          if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE) {
+            pendingRoots.add(node);
+          }
+        }
+      }
+      if (pendingRoots.size > 0 && !scanTimer) {
+        scanTimer = setTimeout(flushPending, SCAN_DELAY_MS);
+      }
+    });
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+  }
+
+  // Create the (shadow DOM isolated) hover card container
+  function createCard() {
+    cardHost = document.createElement('div');
+    cardHost.style.cssText = 'all: initial; position: absolute; z-index: 2147483647; display: none;';
+    const shadow = cardHost.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = CARD_STYLE;
+    cardBody = document.createElement('div');
+    cardBody.className = 'card';
+    shadow.appendChild(style);
+    shadow.appendChild(cardBody);
+
+    // Keep the card open while the pointer is over it
+    cardHost.addEventListener('mouseenter', () => clearTimeout(hideTimer));
+    cardHost.addEventListener('mouseleave', scheduleHide);
+    document.body.appendChild(cardHost);
+  }
+
+  // Create an element with a class and text
+  function element(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  // Fill the card with a preview (or a status message)
+  function renderCard(preview) {
+    cardBody.textContent = '';
+
+    if (!preview || preview.status !== 'found') {
+      const message = preview ? preview.message : 'Loading…';
+      cardBody.appendChild(element('div', 'message', message));
+      return;
+    }
+
+    const header = element('div', 'header');
+    if (preview.image) {
+      const img = document.createElement('img');
+      img.src = preview.image;
+      img.alt = '';
+      header.appendChild(img);
+    }
+    const heading = element('div');
+    const title = element('div', 'title', preview.title);
+    title.appendChild(element('span', 'type', preview.type));
+    heading.appendChild(title);
+    if (preview.subtitle) {
+      heading.appendChild(element('div', 'subtitle', preview.subtitle));
+    }
+    header.appendChild(heading);
+    cardBody.appendChild(header);
+
+    if (preview.fields.length > 0) {
+      const fields = element('div', 'fields');
+      for (const { label, value } of preview.fields) {
+        fields.appendChild(element('span', 'label', label));
+        fields.appendChild(element('span', null, value));
+      }
+      cardBody.appendChild(fields);
+    }
+
+    if (preview.matchCount > 1) {
+      cardBody.appendChild(element('div', 'note', `${preview.matchCount - 1} more matching record(s) - click the reference to choose`));
+    }
+
+    const actions = element('div', 'actions');
+    const open = element('button', null, 'Open in InvenTree');
+    open.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'openRecord', reference: preview.reference, type: preview.type, url: preview.url });
+      hideCard();
+    });
+    const copy = element('button', 'secondary', 'Copy URL');
+    copy.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(preview.url);
+        copy.textContent = 'Copied!';
+      } catch (error) {
+        copy.textContent = 'Copy failed';
+      }
+    });
+    actions.appendChild(open);
+    actions.appendChild(copy);
+    cardBody.appendChild(actions);
+  }
+
+  // Show the card under a link and load its preview
+  async function showCard(link) {
+    if (!cardHost) createCard();
+    const reference = link.dataset.inventreeRef;
+    const rect = link.getBoundingClientRect();
+    cardHost.style.left = `${rect.left + window.scrollX}px`;
+    cardHost.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    cardHost.style.display = 'block';
+    renderCard(null);
+
+    if (!previews.has(reference)) {
+      previews.set(reference, chrome.runtime.sendMessage({ action: 'preview', text: reference }));
+    }
+    const preview = await previews.get(reference);
+    if (!preview || preview.status === 'error') {
+      previews.delete(reference); // Retry next time
+    }
+    // Only render if we are still showing this link
+    if (hoveredLink === link) {
+      renderCard(preview);
+    }
+  }
+
+  function hideCard() {
+    hoveredLink = null;
+    if (cardHost) cardHost.style.display = 'none';
+  }
+
+  function scheduleHide() {
+    clearTimeout(hoverTimer);
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(hideCard, HIDE_DELAY_MS);
+  }
+
+  // Show a preview after hovering over a reference for a moment
+  function handleHover(e) {
+    const link = e.target.closest && e.target.closest(`.${HIGHLIGHT_CLASS}`);
+    if (!link) return;
+    if (e.type === 'mouseout') {
+      scheduleHide();
+      return;
+    }
+    clearTimeout(hideTimer);
+    if (link === hoveredLink) return;
+    clearTimeout(hoverTimer);
+    hoverTimer = setTimeout(() => {
+      hoveredLink = link;
+      showCard(link);
+    }, PREVIEW_DELAY_MS);
+  }
+
+  // Look up a reference when its link is clicked or activated from the keyboard
+  function handleActivate(e) {
+    if (e.type === 'keydown' && e.key !== 'Enter') return;
+    const link = e.target.closest && e.target.closest(`.${HIGHLIGHT_CLASS}`);
+    if (!link) return;
+    e.preventDefault();
+    e.stopPropagation();
+    chrome.runtime.sendMessage({ action: 'lookup', text: link.dataset.inventreeRef });
+  }
+
+  async function init() {
+    const matchers = await chrome.runtime.sendMessage({ action: 'getMatchers' });
+    if (!matchers || matchers.length === 0) return;
+
+    // One combined regex; references must not run into neighbouring word characters
+    const alternatives = matchers.map(({ source }) => `(?:${source})`).join('|');
+    try {
+      matcher = new RegExp(`(?<![\\w-])(?:${alternatives})(?![\\w-])`, 'gi');
+    } catch (error) {
+      console.error('InvenTree Lookup: invalid reference pattern', error);
+      return;
+    }
+
+    injectStyle();
+    document.addEventListener('click', handleActivate, true);
+    document.addEventListener('keydown', handleActivate, true);
+    document.addEventListener('mouseover', handleHover);
+    document.addEventListener('mouseout', handleHover);
+    scan(document.body);
+    observeMutations();
+  }
+
+  if (!window.inventreeLookupHighlighter) {
+    window.inventreeLookupHighlighter = true;
+    init();
+  }
+})();
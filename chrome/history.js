@@ -0,0 +1,268 @@
+// InvenTree Item Lookup - Lookup history (shared by background and extension pages)
+
+const DEFAULT_HISTORY_SIZE = 100;
+
+// Read the history, giving entries saved before entries had ids one now
+async function loadHistory() {
+  const { lookupHistory = [] } = await chrome.storage.local.get('lookupHistory');
+  return lookupHistory.map(item => item.id ? item : { ...item, id: `${item.timestamp}-${item.reference}` });
+}
+
+async function saveHistory(history) {
+  await chrome.storage.local.set({ lookupHistory: history });
+}
+
+// Number of unpinned entries to keep (getSettings comes from profiles.js)
+async function getHistorySize() {
+  const { historySize } = await getSettings('historySize');
+  return Number(historySize) || DEFAULT_HISTORY_SIZE;
+}
+
+// Entries for the same reference and type are one entry, whatever the case of the reference
+function isSameEntry(a, b) {
+  return a.reference.toUpperCase() === b.reference.toUpperCase() && a.type === b.type;
+}
+
+// Record a lookup at the top of the history, replacing any earlier entry for the same
+// record but keeping its pin. Unpinned entries beyond the configured size drop off.
+async function addHistoryEntry(entry) {
+  const history = await loadHistory();
+  const previous = history.find(item => isSameEntry(item, entry));
+  const rest = history.filter(item => item !== previous);
+  rest.unshift({
+    ...entry,
+    id: crypto.randomUUID(),
+    pinned: !!(previous && previous.pinned),
+    timestamp: Date.now()
+  });
+
+  const size = await getHistorySize();
+  let unpinned = 0;
+  await saveHistory(rest.filter(item => item.pinned || ++unpinned <= size));
+}
+
+async function setHistoryPinned(id, pinned) {
+  const history = await loadHistory();
+  await saveHistory(history.map(item => item.id === id ? { ...item, pinned } : item));
+}
+
+async function removeHistoryEntry(id) {
+  const history = await loadHistory();
+  await saveHistory(history.filter(item => item.id !== id));
+}
+
+// Remove everything except pinned entries
+async function clearUnpinnedHistory() {
+  const history = await loadHistory();
+  await saveHistory(history.filter(item => item.pinned));
+}
+
+// Entries whose reference or type contains every word of the query
+function filterHistory(history, query) {
+  const words = query.toUpperCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return history;
+  return history.filter(item => {
+    const text = `${item.reference} ${item.type} ${item.matchedField || ''}`.toUpperCase();
+    return words.every(word => text.includes(word));
+  });
+}
+
+// Day heading for a timestamp
+function formatDay(timestamp) {
+  const day = new Date(timestamp).setHours(0, 0, 0, 0);
+  const today = new Date().setHours(0, 0, 0, 0);
+  if (day === today) return 'Today';
+  if (today - day <= 86400000) return 'Yesterday';
+  return new Date(timestamp).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Split the history into labelled groups, pinned entries first:
+// groupBy is 'none', 'type' (by record type) or 'day' (by lookup date)
+function groupHistory(history, groupBy) {
+  const groups = [];
+  const pinned = history.filter(item => item.pinned);
+  if (pinned.length > 0) {
+    groups.push({ label: 'Pinned', items: pinned });
+  }
+
+  const byLabel = new Map();
+  for (const item of history) {
+    if (item.pinned) continue;
+    let label = '';
+    if (groupBy === 'type') {
+      label = item.type;
+    } else if (groupBy === 'day') {
+      label = formatDay(item.timestamp);
+    } else if (pinned.length > 0) {
+      label = 'Recent';
+    }
+    if (!byLabel.has(label)) {
+      byLabel.set(label, { label, items: [] });
+      groups.push(byLabel.get(label));
+    }
+    byLabel.get(label).items.push(item);
+  }
+
+  if (groupBy === 'type') {
+    groups.sort((a, b) => (b.label === 'Pinned') - (a.label === 'Pinned') || a.label.localeCompare(b.label));
+  }
+  return groups;
+}
+
+// Format relative time
+function formatTime(timestamp) {
+  const diff = Date.now() - timestamp;
+  const minutes = Math.floor(diff / 60000);
+  const hours = Math.floor(diff / 3600000);
+  const days = Math.floor(diff / 86400000);
+
+  if (minutes < 1) return 'Just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (hours < 24) return `${hours}h ago`;
+  if (days === 1) return 'Yesterday';
+  return `${days}d ago`;
+}
+
+// Get icon class based on type
+function getIconClass(type) {
+  const typeMap = {
+    'Part': 'part',
+    'Build Order': 'build',
+    'Purchase Order': 'purchase',
+    'Sales Order': 'sales',
+    'Return Order': 'return',
+    'Stock Item': 'stock',
+    'Supplier Part': 'part',
+    'Manufacturer Part': 'part',
+    'Company': 'purchase',
+    'Search': 'search'
+  };
+  return typeMap[type] || 'search';
+}
+
+// Get icon text based on type
+function getIconText(type) {
+  const typeMap = {
+    'Part': 'IPN',
+    'Build Order': 'BO',
+    'Purchase Order': 'PO',
+    'Sales Order': 'SO',
+    'Return Order': 'RMA',
+    'Stock Item': 'SN',
+    'Supplier Part': 'SKU',
+    'Manufacturer Part': 'MPN',
+    'Company': 'CO',
+    'Search': '?'
+  };
+  return typeMap[type] || '?';
+}
+
+// Why a lookup failed, by the failure kind recorded in history
+const FAILURE_LABELS = {
+  auth: 'token rejected',
+  locked: 'token locked',
+  network: 'server unreachable',
+  timeout: 'server timed out',
+  server: 'server error',
+  notFound: 'not found'
+};
+
+// How each quick stock action is described in history
+const STOCK_ACTION_NOTES = {
+  count: item => `counted ${item.resultQuantity}`,
+  add: item => `added ${item.quantity}, now ${item.resultQuantity}`,
+  remove: item => `removed ${item.quantity}, now ${item.resultQuantity}`,
+  transfer: item => `moved ${item.quantity} to ${item.location}`
+};
+
+// Describe an entry's type, noting which field matched for SKU/MPN lookups
+// and what a quick stock action did
+function formatType(item) {
+  if (item.stockAction && STOCK_ACTION_NOTES[item.stockAction]) {
+    return `${item.type} (${STOCK_ACTION_NOTES[item.stockAction](item)})`;
+  }
+  const type = item.matchedField ? `${item.type} (${item.matchedField} match)` : item.type;
+  return type + (item.success ? '' : ` (${FAILURE_LABELS[item.failure] || 'not found'})`);
+}
+
+// Quote a value for CSV
+function csvField(value) {
+  const text = String(value === undefined || value === null ? '' : value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The history as CSV, one row per entry
+function historyToCsv(history) {
+  const header = ['Time', 'Reference', 'Type', 'Matched Field', 'Result', 'Failure Detail', 'Pinned', 'URL'];
+  const lines = [header.join(',')];
+  for (const item of history) {
+    lines.push([
+      new Date(item.timestamp).toISOString(),
+      item.reference,
+      item.type,
+      item.matchedField,
+      item.success ? 'Found' : FAILURE_LABELS[item.failure] || 'not found',
+      item.failureMessage,
+      item.pinned ? 'Yes' : '',
+      item.url
+    ].map(csvField).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Build a history row: type icon, reference, type and time, with pin and delete buttons
+function createHistoryRow(item, { onOpen, onPin, onDelete }) {
+  const row = document.createElement('div');
+  row.className = `history-item${item.success ? '' : ' failed'}${item.pinned ? ' pinned' : ''}`;
+
+  const icon = document.createElement('div');
+  icon.className = `icon ${getIconClass(item.type)}`;
+  icon.textContent = getIconText(item.type);
+
+  const details = document.createElement('div');
+  details.className = 'details';
+  const reference = document.createElement('div');
+  reference.className = 'reference';
+  reference.textContent = item.reference;
+  const type = document.createElement('div');
+  type.className = 'type';
+  type.textContent = formatType(item);
+  if (item.failureMessage) {
+    type.title = item.failureMessage;
+  }
+  details.appendChild(reference);
+  details.appendChild(type);
+
+  const time = document.createElement('div');
+  time.className = 'time';
+  time.textContent = formatTime(item.timestamp);
+  time.title = new Date(item.timestamp).toLocaleString();
+
+  const actions = document.createElement('div');
+  actions.className = 'item-actions';
+  const pin = document.createElement('button');
+  pin.className = 'pin';
+  pin.textContent = item.pinned ? '★' : '☆';
+  pin.title = item.pinned ? 'Unpin' : 'Pin to the top';
+  pin.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onPin(item, !item.pinned);
+  });
+  const remove = document.createElement('button');
+  remove.className = 'delete';
+  remove.textContent = '×';
+  remove.title = 'Remove from history';
+  remove.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onDelete(item);
+  });
+  actions.appendChild(pin);
+  actions.appendChild(remove);
+
+  row.appendChild(icon);
+  row.appendChild(details);
+  row.appendChild(time);
+  row.appendChild(actions);
+  row.addEventListener('click', (e) => onOpen(item, e));
+  return row;
+}
@@ -0,0 +1,16 @@
+// InvenTree Item Lookup - Offscreen document that reads the clipboard for the service worker
+
+// Paste into a text area - the clipboard API needs a focused page, which this never is
+function readClipboardText() {
+  const area = document.getElementById('clipboard');
+  area.value = '';
+  area.focus();
+  document.execCommand('paste');
+  return area.value;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target === 'offscreen' && message.action === 'readClipboard') {
+    sendResponse(readClipboardText());
+  }
+});
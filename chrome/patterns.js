@@ -0,0 +1,269 @@
+// InvenTree Item Lookup - Reference patterns and lookup rules (shared by background and options)
+
+// Regex fragments for the strftime directives InvenTree date fields may use
+const DATE_DIRECTIVES = {
+  Y: '\\d{4}',
+  y: '\\d{2}',
+  m: '\\d{2}',
+  d: '\\d{2}',
+  H: '\\d{2}',
+  I: '\\d{2}',
+  M: '\\d{2}',
+  S: '\\d{2}',
+  j: '\\d{3}',
+  U: '\\d{2}',
+  W: '\\d{2}',
+  w: '\\d',
+  u: '\\d',
+  V: '\\d{2}',
+  G: '\\d{4}',
+  b: '[A-Z]{3}',
+  a: '[A-Z]{3}',
+  B: '[A-Z]+',
+  A: '[A-Z]+',
+  p: '[AP]M',
+  '%': '%'
+};
+
+// Escape special regex characters in a string
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Convert a strftime format (e.g. "%y%m") into a regex fragment
+function dateFormatToRegex(format) {
+  let regex = '';
+  for (let i = 0; i < format.length; i++) {
+    if (format[i] === '%' && i + 1 < format.length) {
+      const directive = format[++i];
+      regex += DATE_DIRECTIVES[directive] || '.+?';
+    } else {
+      regex += escapeRegex(format[i]);
+    }
+  }
+  return regex;
+}
+
+// Convert a Python integer format spec (e.g. "04d") into a digit matcher
+function integerSpecToRegex(spec) {
+  const match = /^(0?)(\d*)d?$/.exec(spec || '');
+  if (!match || !match[2]) return '\\d+';
+  const width = parseInt(match[2], 10);
+  // Zero padding gives at least `width` digits, space padding leading spaces
+  return match[1] ? `\\d{${width},}` : ` *\\d+`;
+}
+
+// Split an InvenTree reference pattern (e.g. "PO-{ref:04d}-{date:%y}") into tokens
+function parseReferencePattern(pattern) {
+  const tokens = [];
+  let literal = '';
+  let i = 0;
+
+  while (i < pattern.length) {
+    const char = pattern[i];
+    // Doubled braces are literal braces, as in Python format strings
+    if ((char === '{' || char === '}') && pattern[i + 1] === char) {
+      literal += char;
+      i += 2;
+      continue;
+    }
+    if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        throw new Error(`Unclosed "{" in reference pattern "${pattern}"`);
+      }
+      if (literal) {
+        tokens.push({ type: 'literal', text: literal });
+        literal = '';
+      }
+      const field = pattern.substring(i + 1, end);
+      const colon = field.indexOf(':');
+      const name = colon === -1 ? field : field.substring(0, colon);
+      const spec = colon === -1 ? '' : field.substring(colon + 1);
+      tokens.push({ type: 'field', name, spec });
+      i = end + 1;
+      continue;
+    }
+    literal += char;
+    i++;
+  }
+
+  if (literal) {
+    tokens.push({ type: 'literal', text: literal });
+  }
+  return tokens;
+}
+
+// Regex fragment matching a single pattern field
+function fieldToRegex(token) {
+  switch (token.name) {
+    case 'ref':
+      return integerSpecToRegex(token.spec);
+    case 'date':
+      // Without a format spec the date renders as YYYY-MM-DD
+      return token.spec ? dateFormatToRegex(token.spec) : '\\d{4}-\\d{2}-\\d{2}';
+    case '?':
+      return '.';
+    case '#':
+      return '\\d';
+    default:
+      return '.+?';
+  }
+}
+
+// Convert a full InvenTree reference pattern into an anchored regex source
+function referencePatternToRegex(pattern) {
+  const tokens = parseReferencePattern(pattern);
+  if (!tokens.some(token => token.type === 'field' && token.name === 'ref')) {
+    throw new Error(`Reference pattern "${pattern}" has no {ref} field`);
+  }
+  const body = tokens.map(token =>
+    token.type === 'literal' ? escapeRegex(token.text) : fieldToRegex(token)
+  ).join('');
+  return `^${body}$`;
+}
+
+// Strip the ^...$ anchors from a regex source so it can find references within text
+function unanchorRegex(source) {
+  return source.replace(/^\^/, '').replace(/(^|[^\\])\$$/, '$1');
+}
+
+// Dashes and minus signs that often stand in for a hyphen in copied text
+const DASH_CHARACTERS = /[\u2010-\u2015\u2212\uFE58\uFE63]/g;
+
+// Normalise selected text for matching: full-width characters to ASCII, dashes to hyphens
+function normaliseReferenceText(text) {
+  return text.normalize('NFKC').replace(DASH_CHARACTERS, '-').toUpperCase();
+}
+
+// Zero-padding widths tried when a reference's number doesn't match as written
+const PADDING_WIDTHS = [3, 4, 5, 6];
+
+// Spelling variants of a reference, as written first: with the hyphen between prefix and
+// number added or removed, and with the number's leading zeros dropped or padded
+function referenceVariants(token) {
+  const variants = [token];
+  const match = token.match(/^([A-Z][A-Z0-9]*?)[-\s]?(\d+)([A-Z]*)$/);
+  if (match) {
+    const [, prefix, digits, suffix] = match;
+    const trimmed = digits.replace(/^0+(?=\d)/, '');
+    const numbers = [digits, trimmed, ...PADDING_WIDTHS.map(width => trimmed.padStart(width, '0'))];
+    for (const number of numbers) {
+      for (const separator of ['-', '']) {
+        variants.push(`${prefix}${separator}${number}${suffix}`);
+      }
+    }
+  }
+  return [...new Set(variants)];
+}
+
+// Default prefixes (used if no reference pattern was detected from the API)
+const DEFAULT_PREFIXES = {
+  buildOrderPrefix: 'BO-',
+  purchaseOrderPrefix: 'PO-',
+  salesOrderPrefix: 'SO-',
+  returnOrderPrefix: 'RMA-'
+};
+
+// Built-in lookup rules for InvenTree's order types. A blank regex means the
+// rule uses the profile's detected reference pattern.
+const BUILTIN_RULES = [
+  {
+    id: 'buildOrder',
+    builtin: true,
+    enabled: true,
+    name: 'Build Order',
+    regex: '',
+    prefixKey: 'buildOrderPrefix',
+    apiEndpoint: '/api/build/',
+    apiParam: 'reference',
+    apiExtraParams: { part_detail: true },
+    urlTemplate: '/web/manufacturing/build-order/{id}/details',
+    indexUrl: '/web/manufacturing/index/buildorders'
+  },
+  {
+    id: 'purchaseOrder',
+    builtin: true,
+    enabled: true,
+    name: 'Purchase Order',
+    regex: '',
+    prefixKey: 'purchaseOrderPrefix',
+    apiEndpoint: '/api/order/po/',
+    apiParam: 'reference',
+    apiExtraParams: { supplier_detail: true },
+    urlTemplate: '/web/purchasing/purchase-order/{id}/detail',
+    indexUrl: '/web/purchasing/index/purchaseorders'
+  },
+  {
+    id: 'salesOrder',
+    builtin: true,
+    enabled: true,
+    name: 'Sales Order',
+    regex: '',
+    prefixKey: 'salesOrderPrefix',
+    apiEndpoint: '/api/order/so/',
+    apiParam: 'reference',
+    apiExtraParams: { customer_detail: true },
+    urlTemplate: '/web/sales/sales-order/{id}/detail',
+    indexUrl: '/web/sales/index/salesorders'
+  },
+  {
+    id: 'returnOrder',
+    builtin: true,
+    enabled: true,
+    name: 'Return Order',
+    regex: '',
+    prefixKey: 'returnOrderPrefix',
+    apiEndpoint: '/api/order/ro/',
+    apiParam: 'reference',
+    apiExtraParams: { customer_detail: true },
+    urlTemplate: '/web/sales/return-order/{id}/detail',
+    indexUrl: '/web/sales/index/returnorders'
+  }
+];
+
+// Merge stored rules with the built-in definitions (defaults when nothing is stored)
+function normaliseRules(storedRules) {
+  if (!storedRules || storedRules.length === 0) {
+    return BUILTIN_RULES.map(rule => ({ ...rule }));
+  }
+  return storedRules.map(rule => {
+    const builtin = BUILTIN_RULES.find(candidate => candidate.id === rule.id);
+    return builtin ? { ...builtin, ...rule } : rule;
+  });
+}
+
+// Load the lookup rules in priority order
+async function loadRules() {
+  const { lookupRules } = await chrome.storage.sync.get('lookupRules');
+  return normaliseRules(lookupRules);
+}
+
+// Get the regex source for a rule: its own regex, or for built-in rules the
+// profile's detected reference pattern, falling back to prefix followed by digits
+function getRuleRegexSource(rule, profile) {
+  if (rule.regex) return rule.regex;
+  if (!rule.builtin) return null;
+
+  const matcher = (profile.referencePatterns || {})[rule.id];
+  if (matcher && matcher.regex) return matcher.regex;
+
+  const prefixes = { ...DEFAULT_PREFIXES, ...profile.referencePrefixes };
+  return `^${escapeRegex(prefixes[rule.prefixKey])}\\d+$`;
+}
+
+// Build the patterns for all enabled rules, skipping rules with invalid regexes
+function buildPatterns(rules, profile) {
+  const patterns = [];
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const source = getRuleRegexSource(rule, profile);
+    if (!source) continue;
+    try {
+      patterns.push({ ...rule, key: rule.id, regex: new RegExp(source, 'i') });
+    } catch (error) {
+      console.error(`Invalid regex for lookup rule "${rule.name}":`, error);
+    }
+  }
+  return patterns;
+}
@@ -8,46 +8,6 @@ function getBaseUrl() {
 let selectedIndex = -1;
 let historyItems = [];
 
-// Format relative time
-function formatTime(timestamp) {
-  const diff = Date.now() - timestamp;
-  const minutes = Math.floor(diff / 60000);
-  const hours = Math.floor(diff / 3600000);
-  const days = Math.floor(diff / 86400000);
-  
-  if (minutes < 1) return 'Just now';
-  if (minutes < 60) return `${minutes}m ago`;
-  if (hours < 24) return `${hours}h ago`;
-  if (days === 1) return 'Yesterday';
-  return `${days}d ago`;
-}
-
-// Get icon class based on type
-function getIconClass(type) {
-  const typeMap = {
-    'Part': 'part',
-    'Build Order': 'build',
-    'Purchase Order': 'purchase',
-    'Sales Order': 'sales',
-    'Return Order': 'return',
-    'Search': 'search'
-  };
-  return typeMap[type] || 'search';
-}
-
-// Get icon text based on type
-function getIconText(type) {
-  const typeMap = {
-    'Part': 'CE',
-    'Build Order': 'BO',
-    'Purchase Order': 'PO',
-    'Sales Order': 'SO',
-    'Return Order': 'RMA',
-    'Search': '?'
-  };
-  return typeMap[type] || '?';
-}
-
 // Update visual selection
 function updateSelection() {
   const items = document.querySelectorAll('.history-item');
@@ -61,55 +21,313 @@ function updateSelection() {
   }
 }
 
+// Ctrl/Cmd+Enter (or click) opens in a background tab and Shift+Enter in a new tab,
+// overriding the open mode setting for this lookup
+function openModeFor(e) {
+  if (e.ctrlKey || e.metaKey) return 'background';
+  if (e.shiftKey) return 'newTab';
+  return null;
+}
+
+// Close the popup unless the page was opened behind it
+function closeUnlessBackground(openMode) {
+  if (openMode !== 'background') {
+    window.close();
+  }
+}
+
+// Reopen a history entry
+function openHistoryItem(item, openMode) {
+  chrome.runtime.sendMessage({ action: 'openUrl', url: item.url, openMode });
+  closeUnlessBackground(openMode);
+}
+
 // Open selected item
-function openSelectedItem() {
+function openSelectedItem(openMode = null) {
   if (selectedIndex >= 0 && historyItems[selectedIndex]) {
-    chrome.tabs.create({ url: historyItems[selectedIndex].url });
-    window.close();
+    openHistoryItem(historyItems[selectedIndex], openMode);
   }
 }
 
-// Render history list
+// Most history entries listed in the popup - the history page shows the rest
+const POPUP_HISTORY_LIMIT = 50;
+
+// Render history list, filtered by the text typed so far
 async function renderHistory() {
-  const { lookupHistory = [] } = await chrome.storage.local.get('lookupHistory');
-  historyItems = lookupHistory;
+  const query = document.getElementById('searchInput').value.trim();
+  const history = await loadHistory();
+  const { historyGroupBy } = await chrome.storage.sync.get('historyGroupBy');
+  const matches = filterHistory(history, query);
+  const groups = groupHistory(matches.slice(0, POPUP_HISTORY_LIMIT), historyGroupBy);
+  historyItems = groups.flatMap(group => group.items);
   selectedIndex = -1;
   const container = document.getElementById('historyList');
-  
-  if (lookupHistory.length === 0) {
-    container.innerHTML = `
-      <div class="empty-state">
-        <div class="icon">📋</div>
-        <div>No recent lookups</div>
-      </div>
-    `;
+  container.textContent = '';
+
+  if (historyItems.length === 0) {
+    // Typing a new reference shows nothing rather than an empty-history message
+    if (!query) {
+      const emptyState = document.createElement('div');
+      emptyState.className = 'empty-state';
+      const icon = document.createElement('div');
+      icon.className = 'icon';
+      icon.textContent = '📋';
+      const text = document.createElement('div');
+      text.textContent = 'No recent lookups';
+      emptyState.appendChild(icon);
+      emptyState.appendChild(text);
+      container.appendChild(emptyState);
+    }
     return;
   }
-  
-  container.innerHTML = lookupHistory.map((item, index) => `
-    <div class="history-item ${item.success ? '' : 'failed'}" data-index="${index}" data-url="${item.url}">
-      <div class="icon ${getIconClass(item.type)}">${getIconText(item.type)}</div>
-      <div class="details">
-        <div class="reference">${item.reference}</div>
-        <div class="type">${item.type}${item.success ? '' : ' (not found)'}</div>
-      </div>
-      <div class="time">${formatTime(item.timestamp)}</div>
-    </div>
-  `).join('');
-  
-  // Add click handlers
-  container.querySelectorAll('.history-item').forEach(el => {
-    el.addEventListener('click', () => {
-      chrome.tabs.create({ url: el.dataset.url });
+
+  const handlers = {
+    onOpen: (item, e) => openHistoryItem(item, openModeFor(e)),
+    onPin: async (item, pinned) => {
+      await setHistoryPinned(item.id, pinned);
+      renderHistory();
+    },
+    onDelete: async (item) => {
+      await removeHistoryEntry(item.id);
+      renderHistory();
+    }
+  };
+  for (const group of groups) {
+    if (group.label) {
+      const heading = document.createElement('div');
+      heading.className = 'history-group';
+      heading.textContent = group.label;
+      container.appendChild(heading);
+    }
+    for (const item of group.items) {
+      container.appendChild(createHistoryRow(item, handlers));
+    }
+  }
+
+  if (matches.length > POPUP_HISTORY_LIMIT) {
+    const more = document.createElement('div');
+    more.className = 'history-more';
+    more.textContent = `Show all ${matches.length} in the history page`;
+    more.addEventListener('click', openHistoryPage);
+    container.appendChild(more);
+  }
+}
+
+// Open the full history page
+function openHistoryPage() {
+  const query = document.getElementById('searchInput').value.trim();
+  chrome.tabs.create({ url: chrome.runtime.getURL(`history.html${query ? `?q=${encodeURIComponent(query)}` : ''}`) });
+  window.close();
+}
+
+// Fill the profile switcher (hidden when only one server is configured)
+async function renderProfileSwitcher() {
+  const { profiles, activeProfileId } = await loadProfiles();
+  const select = document.getElementById('profileSelect');
+  select.textContent = '';
+  select.hidden = profiles.length < 2;
+
+  for (const profile of profiles) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  }
+  select.value = activeProfileId;
+}
+
+// Switch the active profile
+document.getElementById('profileSelect').addEventListener('change', async (e) => {
+  await setActiveProfile(e.target.value);
+  document.getElementById('searchInput').focus();
+});
+
+// Preview panel state - the panel replaces the history list once a lookup resolves
+let currentPreview = null;
+let panelActions = [];
+let selectedAction = 0;
+
+// Show the history list again
+function closePreview() {
+  currentPreview = null;
+  panelActions = [];
+  document.getElementById('previewPanel').hidden = true;
+  document.getElementById('historyList').hidden = false;
+}
+
+// Highlight the selected panel action
+function updateActionSelection() {
+  panelActions.forEach((action, index) => {
+    action.button.classList.toggle('selected', index === selectedAction);
+  });
+}
+
+// Render the preview panel with its actions
+function renderPreview(preview, text) {
+  const panel = document.getElementById('previewPanel');
+  panel.textContent = '';
+  panelActions = [];
+  selectedAction = 0;
+
+  if (preview.status !== 'found') {
+    panel.appendChild(createElement('div', 'preview-message', preview.message));
+    if (preview.status === 'unconfigured') {
+      addPanelAction(panel, 'Open Settings', () => {
+        chrome.runtime.openOptionsPage();
+        window.close();
+      });
+    } else {
+      addPanelAction(panel, 'Search InvenTree', () => searchInInvenTree(text));
+    }
+    updateActionSelection();
+    return;
+  }
+
+  const header = createElement('div', 'preview-header');
+  if (preview.image) {
+    const img = document.createElement('img');
+    img.src = preview.image;
+    img.alt = '';
+    header.appendChild(img);
+  }
+  const heading = createElement('div', 'preview-heading');
+  const title = createElement('div', 'preview-title', preview.title);
+  title.appendChild(createElement('span', `icon ${getIconClass(preview.type)}`, getIconText(preview.type)));
+  heading.appendChild(title);
+  if (preview.subtitle) {
+    heading.appendChild(createElement('div', 'preview-subtitle', preview.subtitle));
+  }
+  header.appendChild(heading);
+  panel.appendChild(header);
+
+  if (preview.fields.length > 0) {
+    const fields = createElement('div', 'preview-fields');
+    for (const { label, value } of preview.fields) {
+      fields.appendChild(createElement('span', 'label', label));
+      fields.appendChild(createElement('span', null, value));
+    }
+    panel.appendChild(fields);
+  }
+
+  if (preview.related.length > 0) {
+    panel.appendChild(createElement('div', 'preview-section', 'Open orders'));
+    for (const order of preview.related) {
+      const row = createElement('div', 'preview-related');
+      row.appendChild(createElement('span', 'reference', order.reference));
+      row.appendChild(createElement('span', 'status', [order.type, order.status].filter(Boolean).join(' - ')));
+      row.title = order.description || '';
+      row.addEventListener('click', (e) => {
+        const openMode = openModeFor(e);
+        chrome.runtime.sendMessage({ action: 'openRecord', reference: order.reference, type: order.type, url: order.url, openMode });
+        closeUnlessBackground(openMode);
+      });
+      panel.appendChild(row);
+    }
+  }
+
+  const actions = createElement('div', 'preview-actions');
+  addPanelAction(actions, 'Open', (button, openMode) => {
+    chrome.runtime.sendMessage({ action: 'openRecord', reference: preview.reference, type: preview.type, url: preview.url, openMode });
+    if (openMode === 'background') {
+      button.textContent = 'Opened';
+    } else {
       window.close();
-    });
+    }
+  });
+  addPanelAction(actions, 'Copy Link', async (button) => {
+    try {
+      await navigator.clipboard.writeText(preview.url);
+      button.textContent = 'Copied!';
+    } catch (err) {
+      console.error('Failed to copy to clipboard:', err);
+    }
   });
+  addPanelAction(actions, 'Open in Background', (button) => {
+    chrome.runtime.sendMessage({ action: 'openRecord', reference: preview.reference, type: preview.type, url: preview.url, background: true });
+    button.textContent = 'Opened';
+  });
+  if (preview.type === 'Part' || preview.type === 'Stock Item') {
+    addPanelAction(actions, 'Stock Actions', () => {
+      // The stock form takes over the panel, and the arrow keys go back to the list
+      panelActions = [];
+      renderStockActions(panel, preview.reference);
+    });
+  }
+  if (preview.matchCount > 1) {
+    addPanelAction(actions, `All ${preview.matchCount} Matches`, (button, openMode) => {
+      chrome.runtime.sendMessage({ action: 'lookup', text, openMode });
+      window.close();
+    });
+  }
+  panel.appendChild(actions);
+  updateActionSelection();
+}
+
+// Add an action button to the panel
+function addPanelAction(container, label, run) {
+  const button = createElement('button', 'preview-action', label);
+  const action = { button, run: (openMode = null) => run(button, openMode) };
+  button.addEventListener('click', (e) => action.run(openModeFor(e)));
+  panelActions.push(action);
+  container.appendChild(button);
+}
+
+// Fall back to the background lookup (clipboard and landing page)
+async function searchInInvenTree(text) {
+  // Copy to clipboard from popup context (works reliably)
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch (err) {
+    console.error('Failed to copy to clipboard:', err);
+  }
+  chrome.runtime.sendMessage({ action: 'lookup', text });
+  window.close();
+}
+
+// Resolve the typed reference and show it in the preview panel
+async function showPreview(text) {
+  const panel = document.getElementById('previewPanel');
+  panel.textContent = '';
+  panel.appendChild(createElement('div', 'preview-message', `Looking up ${text.toUpperCase()}…`));
+  panel.hidden = false;
+  document.getElementById('historyList').hidden = true;
+  panelActions = [];
+
+  let preview;
+  try {
+    preview = await chrome.runtime.sendMessage({ action: 'preview', text, related: true });
+  } catch (err) {
+    preview = { status: 'error', message: `Lookup failed: ${err.message}` };
+  }
+  // Ignore results for text the user has since changed
+  if (document.getElementById('searchInput').value.trim() !== text) return;
+
+  currentPreview = preview;
+  renderPreview(preview, text);
 }
 
 // Handle keyboard input
 document.getElementById('searchInput').addEventListener('keydown', async (e) => {
-  const items = document.querySelectorAll('.history-item');
-  
+  // While the preview panel is open the arrow keys move between its actions
+  if (currentPreview && panelActions.length > 0) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const offset = e.key === 'ArrowDown' ? 1 : -1;
+      selectedAction = Math.min(Math.max(selectedAction + offset, 0), panelActions.length - 1);
+      updateActionSelection();
+      return;
+    }
+    if (e.key === 'Enter') {
+      panelActions[selectedAction].run(openModeFor(e));
+      return;
+    }
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closePreview();
+      return;
+    }
+  }
+
   if (e.key === 'ArrowDown') {
     e.preventDefault();
     if (historyItems.length > 0) {
@@ -123,23 +341,23 @@ document.getElementById('searchInput').addEventListener('keydown', async (e) =>
       updateSelection();
     }
   } else if (e.key === 'Enter') {
+    const openMode = openModeFor(e);
+    const text = e.target.value.trim();
     if (selectedIndex >= 0) {
       // Open selected history item
-      openSelectedItem();
-    } else {
-      // Perform new lookup
-      const text = e.target.value.trim();
-      if (text) {
-        // Copy to clipboard from popup context (works reliably)
-        try {
-          await navigator.clipboard.writeText(text);
-        } catch (err) {
-          console.error('Failed to copy to clipboard:', err);
-        }
-        chrome.runtime.sendMessage({ action: 'lookup', text });
-        window.close();
-      }
+      openSelectedItem(openMode);
+    } else if (text && openMode) {
+      // A modifier skips the preview and opens the result straight away
+      chrome.runtime.sendMessage({ action: 'lookup', text, openMode });
+      closeUnlessBackground(openMode);
+    } else if (text) {
+      // Resolve the reference and preview it
+      showPreview(text);
     }
+  } else if (e.key === 'Delete' && selectedIndex >= 0) {
+    e.preventDefault();
+    await removeHistoryEntry(historyItems[selectedIndex].id);
+    renderHistory();
   } else if (e.key === 'Escape') {
     if (selectedIndex >= 0) {
       selectedIndex = -1;
@@ -150,18 +368,22 @@ document.getElementById('searchInput').addEventListener('keydown', async (e) =>
   }
 });
 
-// Reset selection when typing
+// Reset selection (and any stale preview) when typing
 document.getElementById('searchInput').addEventListener('input', () => {
-  selectedIndex = -1;
-  updateSelection();
+  if (currentPreview) {
+    closePreview();
+  }
+  renderHistory();
 });
 
-// Clear history
+// Clear history, keeping pinned entries
 document.getElementById('clearHistory').addEventListener('click', async () => {
-  await chrome.storage.local.set({ lookupHistory: [] });
+  await clearUnpinnedHistory();
   renderHistory();
 });
 
+document.getElementById('openHistory').addEventListener('click', openHistoryPage);
+
 // Open settings
 document.getElementById('openSettings').addEventListener('click', () => {
   chrome.runtime.openOptionsPage();
@@ -172,4 +394,5 @@ document.getElementById('openSettings').addEventListener('click', () => {
 document.getElementById('searchInput').focus();
 
 // Initial render
+renderProfileSwitcher();
 renderHistory();
@@ -0,0 +1,11 @@
+// Stock actions window - count, add, remove or transfer stock of a selected reference
+
+const params = new URLSearchParams(location.search);
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    window.close();
+  }
+});
+
+renderStockActions(document.getElementById('stockActions'), params.get('text') || '', params.get('profile'));
@@ -0,0 +1,205 @@
+// InvenTree Item Lookup - Quick stock actions (shared by the popup and the stock actions window)
+
+const STOCK_ACTION_LABELS = {
+  count: 'Count',
+  add: 'Add',
+  remove: 'Remove',
+  transfer: 'Transfer'
+};
+
+// How long a Confirm button waits for its second click
+const STOCK_CONFIRM_MS = 5000;
+
+// Create an element with a class and text (also used by popup.js)
+function createElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+// The question asked before an adjustment is made
+function describeAdjustment(adjustment, quantity, location, item) {
+  switch (adjustment) {
+    case 'count':
+      return `Set the quantity at ${item.label} to ${quantity}?`;
+    case 'add':
+      return `Add ${quantity} to ${item.label}?`;
+    case 'remove':
+      return `Remove ${quantity} from ${item.label}?`;
+    default:
+      return `Move ${quantity} from ${item.label} to ${location}?`;
+  }
+}
+
+// Describe the outcome of an adjustment
+function describeStockResult(adjustment, result) {
+  if (adjustment === 'transfer') {
+    return `Moved to ${result.location}. ${result.quantity > 0 ? `${result.quantity} left here.` : 'None left here.'}`;
+  }
+  return `Done. The quantity here is now ${result.quantity}.`;
+}
+
+// Resolve text to a part or stock item and render count, add, remove and transfer
+// actions for its stock into a container. Each adjustment needs a second click to confirm.
+async function renderStockActions(container, text, profileId = null) {
+  container.textContent = '';
+  container.appendChild(createElement('div', 'stock-message', `Looking up ${text.toUpperCase()}…`));
+
+  let targets;
+  try {
+    targets = await chrome.runtime.sendMessage({ action: 'stockTargets', text, profileId });
+  } catch (err) {
+    targets = { status: 'error', message: `Lookup failed: ${err.message}` };
+  }
+
+  container.textContent = '';
+  if (targets.status !== 'found') {
+    container.appendChild(createElement('div', 'stock-message', targets.message));
+    return;
+  }
+
+  const heading = createElement('div', 'stock-heading', targets.title);
+  heading.appendChild(createElement('span', 'stock-type', targets.type));
+  container.appendChild(heading);
+
+  if (!targets.canAdjust) {
+    container.appendChild(createElement('div', 'stock-message', 'Your InvenTree account is not allowed to adjust stock.'));
+    return;
+  }
+  if (targets.items.length === 0) {
+    container.appendChild(createElement('div', 'stock-message', 'There is no stock of this part to adjust.'));
+    return;
+  }
+
+  const form = createElement('div', 'stock-form');
+  const addField = (label, control) => {
+    const field = createElement('label', 'stock-field', label);
+    field.appendChild(control);
+    form.appendChild(field);
+    return field;
+  };
+
+  const itemSelect = document.createElement('select');
+  const showItems = () => {
+    const selected = itemSelect.selectedIndex;
+    itemSelect.textContent = '';
+    for (const item of targets.items) {
+      itemSelect.appendChild(createElement('option', null, `${item.label} (${item.quantity})`));
+    }
+    itemSelect.selectedIndex = Math.max(selected, 0);
+  };
+  showItems();
+  addField('Stock item', itemSelect);
+
+  const actionSelect = document.createElement('select');
+  for (const [value, label] of Object.entries(STOCK_ACTION_LABELS)) {
+    const option = createElement('option', null, label);
+    option.value = value;
+    actionSelect.appendChild(option);
+  }
+  addField('Action', actionSelect);
+
+  const quantityInput = document.createElement('input');
+  quantityInput.type = 'number';
+  quantityInput.min = '0';
+  quantityInput.step = 'any';
+  addField('Quantity', quantityInput);
+
+  const locationInput = document.createElement('input');
+  locationInput.type = 'text';
+  locationInput.placeholder = 'Location name or full path';
+  const locationField = addField('To location', locationInput);
+
+  const button = createElement('button', 'preview-action', 'Apply');
+  const result = createElement('div', 'stock-result');
+  form.appendChild(button);
+  form.appendChild(result);
+  container.appendChild(form);
+
+  let confirmTimer = null;
+  const resetConfirm = () => {
+    clearTimeout(confirmTimer);
+    confirmTimer = null;
+    button.textContent = 'Apply';
+  };
+  const showResult = (message, isError = false) => {
+    result.textContent = message;
+    result.classList.toggle('error', isError);
+  };
+
+  // Counting starts from the quantity on record
+  const updateForm = () => {
+    resetConfirm();
+    showResult('');
+    const item = targets.items[itemSelect.selectedIndex];
+    locationField.hidden = actionSelect.value !== 'transfer';
+    quantityInput.value = actionSelect.value === 'count' ? item.quantity : '';
+  };
+  itemSelect.addEventListener('change', updateForm);
+  actionSelect.addEventListener('change', updateForm);
+  quantityInput.addEventListener('input', resetConfirm);
+  locationInput.addEventListener('input', resetConfirm);
+  updateForm();
+
+  const submit = async () => {
+    const item = targets.items[itemSelect.selectedIndex];
+    const adjustment = actionSelect.value;
+    const quantity = Number(quantityInput.value);
+    const location = locationInput.value.trim();
+
+    if (quantityInput.value === '' || !Number.isFinite(quantity) || quantity < 0 || (adjustment !== 'count' && quantity === 0)) {
+      showResult('Enter a quantity.', true);
+      return;
+    }
+    if (adjustment === 'transfer' && !location) {
+      showResult('Enter the location to move the stock to.', true);
+      return;
+    }
+
+    if (!confirmTimer) {
+      button.textContent = 'Confirm';
+      showResult(describeAdjustment(adjustment, quantity, location, item));
+      confirmTimer = setTimeout(resetConfirm, STOCK_CONFIRM_MS);
+      return;
+    }
+
+    resetConfirm();
+    button.disabled = true;
+    showResult('Saving…');
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        action: 'adjustStock',
+        profileId: targets.profileId,
+        reference: targets.reference,
+        type: targets.type,
+        adjustment,
+        pk: item.pk,
+        quantity,
+        location
+      });
+    } catch (err) {
+      response = { status: 'error', message: `Saving failed: ${err.message}` };
+    }
+    response = response || { status: 'error', message: 'Saving failed: the extension did not answer.' };
+    button.disabled = false;
+
+    if (response.status !== 'done') {
+      showResult(response.message, true);
+      return;
+    }
+    item.quantity = response.quantity;
+    showItems();
+    showResult(describeStockResult(adjustment, response));
+  };
+
+  button.addEventListener('click', submit);
+  form.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+      e.preventDefault();
+      submit();
+    }
+  });
+  quantityInput.focus();
+}
@@ -0,0 +1,165 @@
+// Batch lookup summary page - lists every reference from a multi-reference selection
+
+const batchKey = `batch-${new URLSearchParams(location.search).get('id')}`;
+
+const STATUS_LABELS = {
+  found: 'Found',
+  multiple: 'Several matches',
+  notFound: 'Not found',
+  error: 'Failed'
+};
+
+let rows = [];
+const selected = new Set();
+
+// Rows that link to a record
+function openableRows() {
+  return rows.filter(row => row.url);
+}
+
+// Render the results table
+function renderRows(batch) {
+  rows = batch.rows;
+  const found = new Set(openableRows().map(row => row.reference)).size;
+  const pending = batch.done ? '' : ` - resolving ${batch.references.length - new Set(rows.map(row => row.reference)).size} more…`;
+  document.getElementById('summary').textContent =
+    `${found} of ${batch.references.length} references matched${pending}`;
+
+  const tbody = document.getElementById('resultRows');
+  tbody.textContent = '';
+
+  rows.forEach((row, index) => {
+    const tr = document.createElement('tr');
+    tr.className = row.status;
+
+    const checkCell = document.createElement('td');
+    if (row.url) {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = selected.has(index);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          selected.add(index);
+        } else {
+          selected.delete(index);
+        }
+      });
+      checkCell.appendChild(checkbox);
+    }
+    tr.appendChild(checkCell);
+
+    const reference = document.createElement('td');
+    reference.textContent = row.reference;
+    tr.appendChild(reference);
+
+    const status = document.createElement('td');
+    status.className = 'status';
+    const badge = document.createElement('span');
+    badge.className = `badge ${row.status}`;
+    badge.textContent = STATUS_LABELS[row.status];
+    status.appendChild(badge);
+    tr.appendChild(status);
+
+    const type = document.createElement('td');
+    type.textContent = row.matchedField ? `${row.type} (${row.matchedField} match)` : (row.type || '');
+    tr.appendChild(type);
+
+    const match = document.createElement('td');
+    if (row.url) {
+      const link = document.createElement('a');
+      link.href = row.url;
+      link.target = '_blank';
+      link.textContent = row.match;
+      match.appendChild(link);
+    }
+    tr.appendChild(match);
+
+    const description = document.createElement('td');
+    description.textContent = row.description || '';
+    tr.appendChild(description);
+
+    tbody.appendChild(tr);
+  });
+}
+
+// Ask the background script to open records (and record them in history)
+async function openRows(rowsToOpen) {
+  if (rowsToOpen.length === 0) return;
+  const group = document.getElementById('groupTabs').checked;
+  await browser.runtime.sendMessage({ action: 'openBatch', records: rowsToOpen, group });
+}
+
+// Download the results as a CSV file
+function exportCsv() {
+  const header = ['Reference', 'Status', 'Type', 'Matched Field', 'Match', 'Description', 'URL'];
+  const lines = [header.join(',')];
+  for (const row of rows) {
+    lines.push([
+      row.reference,
+      STATUS_LABELS[row.status],
+      row.type,
+      row.matchedField,
+      row.match,
+      row.description,
+      row.url
+    ].map(csvField).join(','));
+  }
+
+  const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/csv' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `inventree-batch-${new Date().toISOString().slice(0, 10)}.csv`;
+  link.click();
+  // Revoking the URL straight away can cancel the download, in Firefox especially
+  setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+}
+
+document.getElementById('openAll').addEventListener('click', () => openRows(openableRows()));
+
+document.getElementById('openSelected').addEventListener('click', () => {
+  openRows([...selected].sort((a, b) => a - b).map(index => rows[index]));
+});
+
+document.getElementById('exportCsv').addEventListener('click', exportCsv);
+
+document.getElementById('selectAll').addEventListener('change', (e) => {
+  selected.clear();
+  if (e.target.checked) {
+    rows.forEach((row, index) => {
+      if (row.url) selected.add(index);
+    });
+  }
+  document.querySelectorAll('#resultRows input[type="checkbox"]').forEach(checkbox => {
+    checkbox.checked = e.target.checked;
+  });
+});
+
+// Remember the tab group preference
+document.getElementById('groupTabs').addEventListener('change', (e) => {
+  browser.storage.sync.set({ groupBatchTabs: e.target.checked });
+});
+
+// Re-render as the background script resolves more references
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'session' && changes[batchKey] && changes[batchKey].newValue) {
+    renderRows(changes[batchKey].newValue);
+  }
+});
+
+async function init() {
+  // Tab groups are only available in Chrome
+  if (browser.tabGroups) {
+    const { groupBatchTabs } = await browser.storage.sync.get('groupBatchTabs');
+    document.getElementById('groupTabs').checked = !!groupBatchTabs;
+    document.getElementById('groupTabsLabel').hidden = false;
+  }
+
+  const { [batchKey]: batch } = await browser.storage.session.get(batchKey);
+  if (batch) {
+    renderRows(batch);
+  } else {
+    document.getElementById('summary').textContent = 'This batch has expired. Please select the references again.';
+  }
+}
+
+init();
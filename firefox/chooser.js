@@ -0,0 +1,98 @@
+// Chooser window - lets the user pick between several records matching one lookup
+
+const choiceId = new URLSearchParams(location.search).get('id');
+
+let selectedIndex = 0;
+let candidates = [];
+
+// Update visual selection
+function updateSelection() {
+  const items = document.querySelectorAll('.candidate');
+  items.forEach((item, index) => {
+    item.classList.toggle('selected', index === selectedIndex);
+  });
+
+  if (items[selectedIndex]) {
+    items[selectedIndex].scrollIntoView({ block: 'nearest' });
+  }
+}
+
+// Tell the background script which candidate was picked
+function choose(index) {
+  browser.runtime.sendMessage({ action: 'choose', id: choiceId, index });
+  window.close();
+}
+
+// Render the candidate list
+async function renderCandidates() {
+  const key = `choice-${choiceId}`;
+  const { [key]: choice } = await browser.storage.session.get(key);
+  const container = document.getElementById('candidateList');
+  container.textContent = '';
+
+  if (!choice) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'empty-state';
+    emptyState.textContent = 'This choice has expired. Please look the reference up again.';
+    container.appendChild(emptyState);
+    return;
+  }
+
+  candidates = choice.candidates;
+  document.getElementById('title').textContent =
+    choice.title || `${candidates.length} matches for "${choice.reference}"`;
+
+  candidates.forEach((candidate, index) => {
+    // Search results come sorted by group, with a heading above each
+    if (candidate.group && (index === 0 || candidates[index - 1].group !== candidate.group)) {
+      const heading = document.createElement('div');
+      heading.className = 'group-heading';
+      heading.textContent = candidate.group;
+      container.appendChild(heading);
+    }
+
+    const row = document.createElement('div');
+    row.className = 'candidate';
+
+    const reference = document.createElement('span');
+    reference.className = 'reference';
+    reference.textContent = candidate.reference;
+
+    const type = document.createElement('span');
+    type.className = 'type';
+    type.textContent = candidate.type;
+
+    const description = document.createElement('div');
+    description.className = 'description';
+    description.textContent = candidate.description || '';
+
+    row.appendChild(reference);
+    row.appendChild(type);
+    row.appendChild(description);
+
+    row.addEventListener('click', () => choose(index));
+    container.appendChild(row);
+  });
+
+  updateSelection();
+}
+
+// Handle keyboard input
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'ArrowDown') {
+    e.preventDefault();
+    selectedIndex = Math.min(selectedIndex + 1, candidates.length - 1);
+    updateSelection();
+  } else if (e.key === 'ArrowUp') {
+    e.preventDefault();
+    selectedIndex = Math.max(selectedIndex - 1, 0);
+    updateSelection();
+  } else if (e.key === 'Enter' && candidates[selectedIndex]) {
+    choose(selectedIndex);
+  } else if (e.key === 'Escape') {
+    window.close();
+  }
+});
+
+// Initial render
+renderCandidates();
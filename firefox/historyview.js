@@ -0,0 +1,82 @@
+// History page - the full lookup history, filterable and grouped
+
+// Entries rendered at a time, so thousands of entries stay responsive
+const PAGE_SIZE = 200;
+
+let shownCount = PAGE_SIZE;
+
+const handlers = {
+  onOpen: (item, e) => {
+    browser.runtime.sendMessage({ action: 'openUrl', url: item.url, openMode: e.ctrlKey || e.metaKey ? 'background' : null });
+  },
+  onPin: (item, pinned) => setHistoryPinned(item.id, pinned),
+  onDelete: (item) => removeHistoryEntry(item.id)
+};
+
+// Render the filtered history (changes to it re-render through storage.onChanged)
+async function render() {
+  const history = await loadHistory();
+  const matches = filterHistory(history, document.getElementById('filterInput').value);
+  const groups = groupHistory(matches.slice(0, shownCount), document.getElementById('groupBy').value);
+
+  const pinned = history.filter(item => item.pinned).length;
+  document.getElementById('summary').textContent =
+    `${history.length} entries, ${pinned} pinned` + (matches.length !== history.length ? ` - ${matches.length} match the filter` : '');
+
+  const container = document.getElementById('historyList');
+  container.textContent = '';
+  if (matches.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'empty-state';
+    emptyState.textContent = history.length === 0 ? 'No lookups yet' : 'No entries match the filter';
+    container.appendChild(emptyState);
+  }
+
+  for (const group of groups) {
+    if (group.label) {
+      const heading = document.createElement('div');
+      heading.className = 'history-group';
+      heading.textContent = `${group.label} (${group.items.length})`;
+      container.appendChild(heading);
+    }
+    for (const item of group.items) {
+      container.appendChild(createHistoryRow(item, handlers));
+    }
+  }
+
+  document.getElementById('showMore').hidden = matches.length <= shownCount;
+}
+
+document.getElementById('filterInput').addEventListener('input', () => {
+  shownCount = PAGE_SIZE;
+  render();
+});
+
+// The grouping is shared with the popup
+document.getElementById('groupBy').addEventListener('change', (e) => {
+  browser.storage.sync.set({ historyGroupBy: e.target.value });
+  render();
+});
+
+document.getElementById('showMore').addEventListener('click', () => {
+  shownCount += PAGE_SIZE;
+  render();
+});
+
+document.getElementById('clearHistory').addEventListener('click', clearUnpinnedHistory);
+
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.lookupHistory) {
+    render();
+  }
+});
+
+async function init() {
+  const { historyGroupBy } = await browser.storage.sync.get('historyGroupBy');
+  document.getElementById('groupBy').value = historyGroupBy || 'none';
+  document.getElementById('filterInput').value = new URLSearchParams(location.search).get('q') || '';
+  document.getElementById('filterInput').focus();
+  render();
+}
+
+init();
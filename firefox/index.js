@@ -0,0 +1,140 @@
+// InvenTree Item Lookup - Local index of parts and open orders (shared by background and options)
+
+const INDEX_DB_NAME = 'inventree-lookup-index';
+const INDEX_DB_VERSION = 1;
+
+// Record types kept in the index
+const INDEX_TYPES = ['Part', 'Build Order', 'Purchase Order', 'Sales Order', 'Return Order'];
+
+// Open the index database, creating its stores on first use
+function openIndexDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(INDEX_DB_NAME, INDEX_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const records = db.createObjectStore('records', { keyPath: ['profileId', 'type', 'pk'] });
+      records.createIndex('reference', ['profileId', 'reference']);
+      records.createIndex('profile', 'profileId');
+      db.createObjectStore('syncState', { keyPath: 'profileId' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run a function against one transaction and wait for the transaction to finish
+async function withIndexTransaction(storeNames, mode, run) {
+  const db = await openIndexDb();
+  try {
+    const transaction = db.transaction(storeNames, mode);
+    const result = run(transaction);
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+// Collect the result of a request made inside withIndexTransaction
+function requestResult(request) {
+  const holder = {};
+  request.onsuccess = () => {
+    holder.value = request.result;
+  };
+  return holder;
+}
+
+// Key range covering one profile's records of one type
+function typeRange(profileId, type) {
+  return IDBKeyRange.bound([profileId, type, -Infinity], [profileId, type, Infinity]);
+}
+
+// Find indexed records whose reference (IPN or order reference) matches exactly
+async function indexFindReference(profileId, reference, type) {
+  const found = await withIndexTransaction('records', 'readonly', transaction =>
+    requestResult(transaction.objectStore('records').index('reference').getAll([profileId, reference.toUpperCase()]))
+  );
+  return found.value.filter(entry => !type || entry.type === type);
+}
+
+// Search a profile's records by reference prefix or part of the name
+async function indexSearch(profileId, text, limit) {
+  const query = text.toUpperCase();
+  const matches = [];
+  await withIndexTransaction('records', 'readonly', transaction => {
+    const request = transaction.objectStore('records').index('profile').openCursor(IDBKeyRange.only(profileId));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || matches.length >= limit) return;
+      const entry = cursor.value;
+      if ((entry.reference && entry.reference.startsWith(query)) ||
+          (entry.name && entry.name.toUpperCase().includes(query))) {
+        matches.push(entry);
+      }
+      cursor.continue();
+    };
+  });
+  return matches;
+}
+
+// Highest primary key indexed for a type, used to fetch only newer records
+async function indexMaxPk(profileId, type) {
+  const found = await withIndexTransaction('records', 'readonly', transaction =>
+    requestResult(transaction.objectStore('records').openCursor(typeRange(profileId, type), 'prev'))
+  );
+  return found.value ? found.value.value.pk : null;
+}
+
+// Add or update records of one type, optionally replacing everything indexed for it
+async function indexStoreEntries(profileId, type, entries, { replace = false } = {}) {
+  await withIndexTransaction('records', 'readwrite', transaction => {
+    const store = transaction.objectStore('records');
+    if (replace) {
+      store.delete(typeRange(profileId, type));
+    }
+    for (const entry of entries) {
+      store.put({ ...entry, profileId, type, reference: entry.reference ? entry.reference.toUpperCase() : undefined });
+    }
+  });
+}
+
+// Sync state for a profile: last sync times and the last error, if any
+async function getIndexState(profileId) {
+  const found = await withIndexTransaction('syncState', 'readonly', transaction =>
+    requestResult(transaction.objectStore('syncState').get(profileId))
+  );
+  return found.value || { profileId, lastSync: null, lastFullSync: null, error: null };
+}
+
+async function setIndexState(state) {
+  await withIndexTransaction('syncState', 'readwrite', transaction => {
+    transaction.objectStore('syncState').put(state);
+  });
+}
+
+// Number of indexed records per type, plus the sync state, for the options page
+async function getIndexStats(profileId) {
+  const counts = await withIndexTransaction('records', 'readonly', transaction => {
+    const store = transaction.objectStore('records');
+    return INDEX_TYPES.map(type => ({ type, count: requestResult(store.count(typeRange(profileId, type))) }));
+  });
+  const stats = { counts: {}, ...await getIndexState(profileId) };
+  for (const { type, count } of counts) {
+    stats.counts[type] = count.value;
+  }
+  return stats;
+}
+
+// Remove everything indexed for a profile
+async function clearIndex(profileId) {
+  await withIndexTransaction(['records', 'syncState'], 'readwrite', transaction => {
+    for (const type of INDEX_TYPES) {
+      transaction.objectStore('records').delete(typeRange(profileId, type));
+    }
+    transaction.objectStore('syncState').delete(profileId);
+  });
+}
@@ -7,25 +7,38 @@ function getBaseUrl() {
 
 // Reference pattern setting keys in InvenTree
 const REFERENCE_PATTERN_KEYS = {
-  'BUILDORDER_REFERENCE_PATTERN': { name: 'Build Order', settingKey: 'buildOrderPrefix' },
-  'PURCHASEORDER_REFERENCE_PATTERN': { name: 'Purchase Order', settingKey: 'purchaseOrderPrefix' },
-  'SALESORDER_REFERENCE_PATTERN': { name: 'Sales Order', settingKey: 'salesOrderPrefix' },
-  'RETURNORDER_REFERENCE_PATTERN': { name: 'Return Order', settingKey: 'returnOrderPrefix' }
+  'BUILDORDER_REFERENCE_PATTERN': { name: 'Build Order', patternKey: 'buildOrder' },
+  'PURCHASEORDER_REFERENCE_PATTERN': { name: 'Purchase Order', patternKey: 'purchaseOrder' },
+  'SALESORDER_REFERENCE_PATTERN': { name: 'Sales Order', patternKey: 'salesOrder' },
+  'RETURNORDER_REFERENCE_PATTERN': { name: 'Return Order', patternKey: 'returnOrder' }
 };
 
-// Extract prefix from InvenTree reference pattern (e.g., "BO-{ref:04d}" -> "BO-")
-function extractPrefixFromPattern(pattern) {
+// Legacy prefix keys, shown until the full patterns have been detected
+const LEGACY_PREFIX_KEYS = {
+  buildOrderPrefix: 'buildOrder',
+  purchaseOrderPrefix: 'purchaseOrder',
+  salesOrderPrefix: 'salesOrder',
+  returnOrderPrefix: 'returnOrder'
+};
+
+// Turn an InvenTree reference pattern (e.g. "PO-{ref:04d}-{date:%y}") into a stored matcher
+function buildReferenceMatcher(pattern) {
   if (!pattern) return null;
-  // Find the position of the first { which starts the variable substitution
-  const braceIndex = pattern.indexOf('{');
-  if (braceIndex === -1) return null;
-  // Everything before the first { is the prefix
-  return pattern.substring(0, braceIndex);
+  try {
+    return { pattern, regex: referencePatternToRegex(pattern) };
+  } catch (error) {
+    console.error('Could not parse reference pattern:', error);
+    return null;
+  }
 }
 
-// Fetch reference patterns from InvenTree global settings API
-async function fetchReferencePatterns(baseUrl, apiToken) {
+// InvenTree setting holding the regex that part IPNs must match
+const IPN_REGEX_SETTING = 'PART_IPN_REGEX';
+
+// Fetch reference patterns and the IPN pattern from InvenTree global settings API
+async function fetchServerPatterns(baseUrl, apiToken) {
   const patterns = {};
+  let ipnPattern = null;
 
   try {
     // Fetch global settings - need staff access for this endpoint
@@ -44,46 +57,316 @@ async function fetchReferencePatterns(baseUrl, apiToken) {
     const data = await response.json();
     const settings = data.results || data;
 
-    // Extract reference patterns
+    // Convert reference patterns into matchers
     for (const setting of settings) {
+      if (setting.key === IPN_REGEX_SETTING && setting.value) {
+        ipnPattern = setting.value;
+      }
       if (REFERENCE_PATTERN_KEYS[setting.key]) {
-        const prefix = extractPrefixFromPattern(setting.value);
-        if (prefix) {
-          patterns[REFERENCE_PATTERN_KEYS[setting.key].settingKey] = prefix;
+        const matcher = buildReferenceMatcher(setting.value);
+        if (matcher) {
+          patterns[REFERENCE_PATTERN_KEYS[setting.key].patternKey] = matcher;
         }
       }
     }
 
-    return Object.keys(patterns).length > 0 ? patterns : null;
+    return { patterns: Object.keys(patterns).length > 0 ? patterns : null, ipnPattern };
   } catch (error) {
     console.error('Error fetching reference patterns:', error);
     return null;
   }
 }
 
+// Tokens created by signing in are named after the browser, with a suffix so that
+// several machines signed into the same account each get (and revoke) their own
+function createTokenName() {
+  const suffix = crypto.randomUUID().slice(0, 4);
+  return `InvenTree Lookup - Firefox (${suffix})`;
+}
+
+// Encode credentials for HTTP basic authentication, allowing non-ASCII characters
+function basicAuthHeader(username, password) {
+  const bytes = new TextEncoder().encode(`${username}:${password}`);
+  return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+}
+
+// Exchange a username and password for an API token with the given name
+async function requestToken(baseUrl, username, password, name) {
+  const response = await fetch(`${baseUrl}/api/user/token/?name=${encodeURIComponent(name)}`, {
+    headers: {
+      'Authorization': basicAuthHeader(username, password),
+      'Accept': 'application/json'
+    }
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error('Sign-in failed. Please check your username and password.');
+  }
+  if (!response.ok) {
+    throw new Error(`Sign-in failed: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  if (!data.token) {
+    throw new Error('The server did not return a token.');
+  }
+  return data.token;
+}
+
+// Name of the user a token belongs to, or null if the server doesn't say
+async function fetchTokenUser(baseUrl, apiToken) {
+  try {
+    const response = await fetch(`${baseUrl}/api/user/me/`, {
+      headers: {
+        'Authorization': `Token ${apiToken}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    if (!response.ok) return null;
+    const user = await response.json();
+    const fullName = [user.first_name, user.last_name].filter(Boolean).join(' ');
+    return fullName ? `${fullName} (${user.username})` : user.username;
+  } catch (error) {
+    console.error('Error fetching token user:', error);
+    return null;
+  }
+}
+
+// Revoke a token created by signing in. Returns false when the server doesn't allow it.
+async function revokeToken(baseUrl, apiToken, name) {
+  const headers = {
+    'Authorization': `Token ${apiToken}`,
+    'Content-Type': 'application/json'
+  };
+
+  try {
+    const response = await fetch(`${baseUrl}/api/user/tokens/`, { headers });
+    if (!response.ok) return false;
+    const data = await response.json();
+    const tokens = data.results || data;
+    const token = tokens.find(item => item.name === name && item.active !== false && !item.revoked);
+    if (!token) return false;
+
+    const revoked = await fetch(`${baseUrl}/api/user/tokens/${token.pk}/`, { method: 'DELETE', headers });
+    return revoked.ok;
+  } catch (error) {
+    console.error('Error revoking token:', error);
+    return false;
+  }
+}
+
+// Profile currently shown in the form (always the active profile)
+let currentProfileId = null;
+
+// Fill the profile selector
+function renderProfileSelect(profiles, activeProfileId) {
+  const select = document.getElementById('profileSelect');
+  select.textContent = '';
+  for (const profile of profiles) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  }
+  select.value = activeProfileId;
+}
+
+// Form controls for the profile fields a policy can set
+const LOCKABLE_PROFILE_CONTROLS = {
+  name: 'profileName',
+  inventreeUrl: 'inventreeUrl',
+  defaultLandingPage: 'defaultLandingPage',
+  serialNumberPattern: 'serialNumberPattern',
+  ipnPattern: 'ipnPattern'
+};
+
+// Show whether a setting is set by policy: a locked control can't be changed and its label says so
+function setLocked(id, locked) {
+  const control = document.getElementById(id);
+  control.disabled = locked;
+  control.closest('.field').classList.toggle('locked', locked);
+}
+
+// Whether a profile is the one set up by policy
+function isManagedProfile(profile) {
+  return profile.id === MANAGED_PROFILE_ID && !!profile.lockedFields;
+}
+
+// Show a profile's settings in the form
+function showProfile(profile) {
+  document.getElementById('profileName').value = profile.name || '';
+  document.getElementById('apiToken').value = profile.apiToken || '';
+  document.getElementById('inventreeUrl').value = profile.inventreeUrl || '';
+  document.getElementById('defaultLandingPage').value = profile.defaultLandingPage || 'parts';
+  document.getElementById('serialNumberPattern').value = profile.serialNumberPattern || '';
+  document.getElementById('ipnPattern').value = profile.ipnPattern || '';
+  document.getElementById('signedInUser').textContent = profile.tokenUser ? `Signed in as ${profile.tokenUser}` : 'Using a pasted API token';
+  document.getElementById('accountField').hidden = !profile.apiToken;
+  document.getElementById('signInField').hidden = !!profile.apiToken || !!profile.tokensLocked;
+  const apiTokenInput = document.getElementById('apiToken');
+  apiTokenInput.disabled = !!profile.tokensLocked;
+  apiTokenInput.placeholder = profile.tokensLocked ? 'Locked - enter your passphrase below' : 'Enter your InvenTree API token';
+  // Display saved patterns
+  updatePatternDisplay(profile.referencePatterns || legacyPrefixesToPatterns(profile.referencePrefixes));
+
+  const lockedFields = profile.lockedFields || [];
+  for (const [field, id] of Object.entries(LOCKABLE_PROFILE_CONTROLS)) {
+    setLocked(id, lockedFields.includes(field));
+  }
+}
+
+// Load profiles and global settings
+async function loadSettings() {
+  const { profiles, activeProfileId, tokenStorage, tokensLocked } = await loadProfiles();
+  currentProfileId = activeProfileId;
+  currentProfile = profiles.find(profile => profile.id === activeProfileId);
+  renderProfileSelect(profiles, activeProfileId);
+  showProfile(currentProfile);
+  showTokenStorage(tokenStorage, tokensLocked);
+  testRules();
+
+  const { supplierMatchTarget, openMode, defaultPartTab, historySize, historyGroupBy, autoRouteProfiles, highlightEnabled, highlightSites } = await getSettings(['supplierMatchTarget', 'openMode', 'defaultPartTab', 'historySize', 'historyGroupBy', 'autoRouteProfiles', 'highlightEnabled', 'highlightSites']);
+  if (supplierMatchTarget) {
+    document.getElementById('supplierMatchTarget').value = supplierMatchTarget;
+  }
+  document.getElementById('openMode').value = openMode || 'newTab';
+  document.getElementById('defaultPartTab').value = defaultPartTab || 'details';
+  document.getElementById('historySize').value = String(historySize || DEFAULT_HISTORY_SIZE);
+  document.getElementById('historyGroupBy').value = historyGroupBy || 'none';
+  document.getElementById('autoRouteProfiles').checked = !!autoRouteProfiles;
+  document.getElementById('highlightEnabled').checked = !!highlightEnabled;
+  document.getElementById('highlightSites').value = (highlightSites || []).join('\n');
+
+  const { localIndexEnabled, indexSyncInterval } = await getSettings(['localIndexEnabled', 'indexSyncInterval']);
+  document.getElementById('localIndexEnabled').checked = !!localIndexEnabled;
+  document.getElementById('indexSyncInterval').value = String(indexSyncInterval || 60);
+
+  // Settings deployed by policy override the ones saved here
+  const managed = await loadManagedSettings();
+  for (const key of MANAGED_SETTINGS) {
+    setLocked(key, managed[key] !== undefined);
+  }
+  const anyLocked = MANAGED_SETTINGS.some(key => managed[key] !== undefined) || isManagedProfile(currentProfile);
+  document.getElementById('managedNotice').hidden = !anyLocked;
+  await showIndexStats();
+}
+
 // Load saved settings
-document.addEventListener('DOMContentLoaded', async () => {
-  const { apiToken, inventreeUrl, referencePrefixes, defaultLandingPage } = await browser.storage.sync.get(['apiToken', 'inventreeUrl', 'referencePrefixes', 'defaultLandingPage']);
-  if (apiToken) {
-    document.getElementById('apiToken').value = apiToken;
+document.addEventListener('DOMContentLoaded', loadSettings);
+
+// Switch profile - the profile shown here is the one used for lookups
+document.getElementById('profileSelect').addEventListener('change', async (e) => {
+  await setActiveProfile(e.target.value);
+  await loadSettings();
+});
+
+// Add a new, empty profile and switch to it
+document.getElementById('addProfile').addEventListener('click', async () => {
+  const { profiles } = await loadProfiles();
+  const profile = createProfile(`Server ${profiles.length + 1}`);
+  await saveProfiles([...profiles, profile]);
+  await setActiveProfile(profile.id);
+  await loadSettings();
+  document.getElementById('profileName').select();
+  showStatus('Profile added. Enter its details and save.', 'success');
+});
+
+// Delete the current profile (click twice to confirm)
+let deleteConfirmTimer = null;
+document.getElementById('deleteProfile').addEventListener('click', async (e) => {
+  const button = e.target;
+  const { profiles } = await loadProfiles();
+
+  if (profiles.length < 2) {
+    showStatus('The last profile cannot be deleted.', 'error');
+    return;
   }
-  if (inventreeUrl) {
-    document.getElementById('inventreeUrl').value = inventreeUrl;
+
+  if (isManagedProfile(currentProfile)) {
+    showStatus('This profile is managed by your organisation and cannot be deleted.', 'error');
+    return;
   }
-  if (defaultLandingPage) {
-    document.getElementById('defaultLandingPage').value = defaultLandingPage;
+
+  if (!deleteConfirmTimer) {
+    button.textContent = 'Confirm';
+    deleteConfirmTimer = setTimeout(() => {
+      button.textContent = 'Delete';
+      deleteConfirmTimer = null;
+    }, 3000);
+    return;
   }
-  // Display saved prefixes
-  updatePrefixDisplay(referencePrefixes);
+
+  clearTimeout(deleteConfirmTimer);
+  deleteConfirmTimer = null;
+  button.textContent = 'Delete';
+
+  const remaining = profiles.filter(profile => profile.id !== currentProfileId);
+  await saveProfiles(remaining);
+  await clearIndex(currentProfileId);
+  await setActiveProfile(remaining[0].id);
+  await loadSettings();
+  showStatus('Profile deleted.', 'success');
 });
 
 // Save settings
 document.getElementById('save').addEventListener('click', async () => {
+  const name = document.getElementById('profileName').value.trim() || 'Unnamed';
   const apiToken = document.getElementById('apiToken').value.trim();
   const inventreeUrl = getBaseUrl();
   const defaultLandingPage = document.getElementById('defaultLandingPage').value;
+  const serialNumberPattern = document.getElementById('serialNumberPattern').value.trim();
+  const ipnPattern = document.getElementById('ipnPattern').value.trim();
+  const supplierMatchTarget = document.getElementById('supplierMatchTarget').value;
+  const openMode = document.getElementById('openMode').value;
+  const defaultPartTab = document.getElementById('defaultPartTab').value;
+  const historySize = Number(document.getElementById('historySize').value);
+  const historyGroupBy = document.getElementById('historyGroupBy').value;
+  const autoRouteProfiles = document.getElementById('autoRouteProfiles').checked;
+  const highlightEnabled = document.getElementById('highlightEnabled').checked;
+  const highlightSites = document.getElementById('highlightSites').value
+    .split('\n')
+    .map(site => site.trim())
+    .filter(Boolean);
+
+  if (serialNumberPattern) {
+    try {
+      new RegExp(serialNumberPattern);
+    } catch (error) {
+      showStatus(`Invalid serial number pattern: ${error.message}`, 'error');
+      return;
+    }
+  }
+
+  if (ipnPattern) {
+    try {
+      new RegExp(ipnPattern);
+    } catch (error) {
+      showStatus(`Invalid IPN pattern: ${error.message}`, 'error');
+      return;
+    }
+  }
 
-  await browser.storage.sync.set({ apiToken, inventreeUrl, defaultLandingPage });
+  // Leave anything set by policy as it was saved, so it returns if the policy is lifted
+  const profileChanges = { name, apiToken, inventreeUrl, defaultLandingPage, serialNumberPattern, ipnPattern };
+  if (apiToken !== (currentProfile.apiToken || '')) {
+    // A different token may belong to someone else, and isn't ours to revoke
+    profileChanges.tokenUser = null;
+    profileChanges.tokenName = null;
+  }
+  for (const field of currentProfile.lockedFields || []) {
+    delete profileChanges[field];
+  }
+  const settings = { supplierMatchTarget, openMode, defaultPartTab, historySize, historyGroupBy, autoRouteProfiles, highlightEnabled, highlightSites };
+  const managed = await loadManagedSettings();
+  for (const key of MANAGED_SETTINGS) {
+    if (managed[key] !== undefined) {
+      delete settings[key];
+    }
+  }
+
+  await updateProfile(currentProfileId, profileChanges);
+  await browser.storage.sync.set(settings);
+  await loadSettings();
 
   showStatus('Settings saved successfully!', 'success');
 });
@@ -112,16 +395,35 @@ document.getElementById('test').addEventListener('click', async () => {
     });
 
     if (response.ok) {
+      // Show who the token belongs to, if it's the saved one
+      if (apiToken === currentProfile.apiToken) {
+        const tokenUser = await fetchTokenUser(baseUrl, apiToken);
+        if (tokenUser) {
+          currentProfile = await updateProfile(currentProfileId, { tokenUser });
+          showProfile(currentProfile);
+        }
+      }
+
       // Connection successful - now try to fetch reference patterns
-      const patterns = await fetchReferencePatterns(baseUrl, apiToken);
+      const { patterns, ipnPattern } = await fetchServerPatterns(baseUrl, apiToken) || {};
 
-      if (patterns) {
-        // Save the detected patterns
-        await browser.storage.sync.set({ referencePrefixes: patterns });
-        updatePrefixDisplay(patterns);
-        showStatus('Connection successful! Reference prefixes detected and saved.', 'success');
+      // Seed the IPN pattern from the server, keeping one entered here
+      const lockedFields = currentProfile.lockedFields || [];
+      if (ipnPattern && !currentProfile.ipnPattern && !lockedFields.includes('ipnPattern')) {
+        currentProfile = await updateProfile(currentProfileId, { ipnPattern });
+        document.getElementById('ipnPattern').value = ipnPattern;
+      }
+
+      if (lockedFields.includes('referencePatterns')) {
+        showStatus('Connection successful! Reference patterns are managed by your organisation.', 'success');
+      } else if (patterns) {
+        // Save the detected patterns in place of any legacy prefixes
+        currentProfile = await updateProfile(currentProfileId, { referencePatterns: patterns, referencePrefixes: null });
+        updatePatternDisplay(patterns);
+        testRules();
+        showStatus('Connection successful! Reference patterns detected and saved.', 'success');
       } else {
-        showStatus('Connection successful! Could not auto-detect prefixes (may require staff access).', 'success');
+        showStatus('Connection successful! Could not auto-detect reference patterns (may require staff access).', 'success');
       }
     } else if (response.status === 401 || response.status === 403) {
       showStatus('Authentication failed. Please check your API token.', 'error');
@@ -133,8 +435,60 @@ document.getElementById('test').addEventListener('click', async () => {
   }
 });
 
-function showStatus(message, type) {
-  const status = document.getElementById('status');
+// Sign in with a username and password, storing a token created for this browser
+document.getElementById('signIn').addEventListener('click', async () => {
+  const username = document.getElementById('signInUsername').value.trim();
+  const passwordInput = document.getElementById('signInPassword');
+  const baseUrl = getBaseUrl();
+
+  if (!baseUrl) {
+    showStatus('Please enter an InvenTree URL first.', 'error');
+    return;
+  }
+
+  if (!username || !passwordInput.value) {
+    showStatus('Please enter your username and password.', 'error');
+    return;
+  }
+
+  try {
+    const tokenName = createTokenName();
+    const apiToken = await requestToken(baseUrl, username, passwordInput.value, tokenName);
+    const tokenUser = await fetchTokenUser(baseUrl, apiToken) || username;
+    const changes = { apiToken, tokenName, tokenUser };
+    if (!(currentProfile.lockedFields || []).includes('inventreeUrl')) {
+      changes.inventreeUrl = baseUrl;
+    }
+    await updateProfile(currentProfileId, changes);
+    passwordInput.value = '';
+    await loadSettings();
+    showStatus(`Signed in as ${tokenUser}.`, 'success');
+  } catch (error) {
+    passwordInput.value = '';
+    showStatus(error.message, 'error');
+  }
+});
+
+// Sign out: forget the token, revoking it on the server if it was created by signing in
+document.getElementById('signOut').addEventListener('click', async () => {
+  const { apiToken, tokenName } = currentProfile;
+  const baseUrl = getProfileBaseUrl(currentProfile);
+  const revoked = tokenName && baseUrl ? await revokeToken(baseUrl, apiToken, tokenName) : false;
+
+  await updateProfile(currentProfileId, { apiToken: '', tokenName: null, tokenUser: null });
+  await loadSettings();
+
+  if (revoked) {
+    showStatus('Signed out. The token has been revoked on the server.', 'success');
+  } else if (tokenName) {
+    showStatus('Signed out, but the server did not allow the token to be revoked. Remove it under Account Settings → Access Tokens.', 'error');
+  } else {
+    showStatus('Signed out. Pasted tokens stay valid on the server until you remove them there.', 'success');
+  }
+});
+
+function showStatus(message, type, elementId = 'status') {
+  const status = document.getElementById(elementId);
   status.textContent = message;
   status.className = `status ${type}`;
 
@@ -146,40 +500,122 @@ function showStatus(message, type) {
   }
 }
 
-// Update the prefix display in the UI
-function updatePrefixDisplay(prefixes) {
-  const container = document.getElementById('prefixDisplay');
+// How each token storage mode is described once chosen
+const TOKEN_STORAGE_LABELS = {
+  sync: 'synced with your browser account',
+  local: 'kept on this device only',
+  encrypted: 'encrypted on this device'
+};
+
+// Show where the API tokens are kept and whether the encrypted ones are locked
+function showTokenStorage(tokenStorage, tokensLocked) {
+  document.getElementById('tokenStorage').value = tokenStorage;
+  document.getElementById('tokenSyncWarning').hidden = tokenStorage !== 'sync';
+  document.getElementById('unlockTokensField').hidden = !tokensLocked;
+  document.getElementById('lockTokens').hidden = tokenStorage !== 'encrypted' || tokensLocked;
+  document.getElementById('tokenPassphraseField').hidden = tokenStorage !== 'encrypted';
+}
+
+document.getElementById('tokenStorage').addEventListener('change', (e) => {
+  document.getElementById('tokenPassphraseField').hidden = e.target.value !== 'encrypted';
+});
+
+// Move the tokens to the chosen storage mode (or re-encrypt them with a new passphrase)
+document.getElementById('applyTokenStorage').addEventListener('click', async () => {
+  const mode = document.getElementById('tokenStorage').value;
+  const passphraseInput = document.getElementById('tokenPassphrase');
+  const confirmInput = document.getElementById('tokenPassphraseConfirm');
+
+  if (mode === 'encrypted') {
+    if (!passphraseInput.value) {
+      showStatus('Enter a passphrase to encrypt the tokens with.', 'error', 'tokenStatus');
+      return;
+    }
+    if (passphraseInput.value !== confirmInput.value) {
+      showStatus('The passphrases do not match.', 'error', 'tokenStatus');
+      return;
+    }
+  }
+
+  try {
+    await setTokenStorage(mode, passphraseInput.value);
+    passphraseInput.value = '';
+    confirmInput.value = '';
+    await loadSettings();
+    showStatus(`API tokens are now ${TOKEN_STORAGE_LABELS[mode]}.`, 'success', 'tokenStatus');
+  } catch (error) {
+    showStatus(error.message, 'error', 'tokenStatus');
+  }
+});
+
+document.getElementById('unlockTokens').addEventListener('click', async () => {
+  const passphraseInput = document.getElementById('unlockPassphrase');
+  try {
+    await unlockTokens(passphraseInput.value);
+    passphraseInput.value = '';
+    await loadSettings();
+    showStatus('API tokens unlocked until the browser closes.', 'success', 'tokenStatus');
+  } catch (error) {
+    showStatus(error.message, 'error', 'tokenStatus');
+  }
+});
+
+document.getElementById('unlockPassphrase').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    document.getElementById('unlockTokens').click();
+  }
+});
+
+document.getElementById('lockTokens').addEventListener('click', async () => {
+  await lockTokens();
+  await loadSettings();
+  showStatus('API tokens locked.', 'success', 'tokenStatus');
+});
+
+// Convert legacy prefixes (e.g. "PO-") into display-only patterns
+function legacyPrefixesToPatterns(prefixes) {
+  if (!prefixes) return null;
+  const patterns = {};
+  for (const [prefixKey, patternKey] of Object.entries(LEGACY_PREFIX_KEYS)) {
+    if (prefixes[prefixKey]) {
+      patterns[patternKey] = { pattern: `${prefixes[prefixKey]}{ref}` };
+    }
+  }
+  return patterns;
+}
+
+// Update the pattern display in the UI
+function updatePatternDisplay(patterns) {
+  const container = document.getElementById('patternDisplay');
   if (!container) return;
   container.textContent = '';
 
-  if (!prefixes || Object.keys(prefixes).length === 0) {
+  if (!patterns || Object.keys(patterns).length === 0) {
     const p = document.createElement('p');
     p.className = 'help';
-    p.textContent = 'No prefixes detected yet. Click "Test Connection" to auto-detect.';
+    p.textContent = 'No reference patterns detected yet. Click "Test Connection" to auto-detect.';
     container.appendChild(p);
     return;
   }
 
-  const labels = {
-    buildOrderPrefix: 'Build Order',
-    purchaseOrderPrefix: 'Purchase Order',
-    salesOrderPrefix: 'Sales Order',
-    returnOrderPrefix: 'Return Order'
-  };
-
   const list = document.createElement('div');
   list.className = 'prefix-list';
 
-  for (const [key, label] of Object.entries(labels)) {
+  for (const { name, patternKey } of Object.values(REFERENCE_PATTERN_KEYS)) {
+    const matcher = patterns[patternKey];
+
     const item = document.createElement('div');
     item.className = 'prefix-item';
 
     const span = document.createElement('span');
     span.className = 'prefix-label';
-    span.textContent = label + ':';
+    span.textContent = name + ':';
 
     const code = document.createElement('code');
-    code.textContent = prefixes[key] || '(not detected)';
+    code.textContent = matcher ? matcher.pattern : '(not detected)';
+    if (matcher && matcher.regex) {
+      code.title = matcher.regex;
+    }
 
     item.appendChild(span);
     item.appendChild(document.createTextNode(' '));
@@ -189,3 +625,471 @@ function updatePrefixDisplay(prefixes) {
 
   container.appendChild(list);
 }
+
+// Lookup rules being edited (saved with "Save Rules")
+let rules = [];
+
+// Profile whose detected patterns the rule tester uses for built-in rules
+let currentProfile = null;
+
+// Rules whose fields are expanded in the editor
+const expandedRules = new Set();
+
+// Editable fields of a lookup rule
+const RULE_FIELDS = [
+  { key: 'name', label: 'Name', placeholder: 'e.g. Work Order' },
+  { key: 'regex', label: 'Regex', placeholder: 'e.g. ^WO-\\d+$' },
+  { key: 'apiEndpoint', label: 'API Endpoint', placeholder: 'e.g. /api/plugin/workorders/' },
+  { key: 'apiParam', label: 'Query Parameter', placeholder: 'e.g. reference' },
+  { key: 'urlTemplate', label: 'Detail URL Template', placeholder: 'e.g. /web/workorders/{id}/detail' },
+  { key: 'indexUrl', label: 'Index URL', placeholder: 'e.g. /web/workorders/index' }
+];
+
+// Check a rule, returning an error message or null
+function validateRule(rule) {
+  if (!rule.name || !rule.name.trim()) return 'Every rule needs a name.';
+  if (!rule.regex && !rule.builtin) return `Rule "${rule.name}" needs a regex.`;
+  if (rule.regex) {
+    try {
+      new RegExp(rule.regex);
+    } catch (error) {
+      return `Rule "${rule.name}" has an invalid regex: ${error.message}`;
+    }
+  }
+  if (!rule.apiEndpoint || !rule.apiEndpoint.startsWith('/')) return `Rule "${rule.name}" needs an API endpoint starting with "/".`;
+  if (!rule.apiParam) return `Rule "${rule.name}" needs a query parameter.`;
+  if (!rule.urlTemplate || !rule.urlTemplate.includes('{id}')) return `Rule "${rule.name}" needs a detail URL template containing {id}.`;
+  return null;
+}
+
+// Build a small button for the rule editor
+function createRuleButton(text, title, onClick) {
+  const button = document.createElement('button');
+  button.className = 'secondary small';
+  button.textContent = text;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Move a rule up or down in the list
+function moveRule(index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= rules.length) return;
+  [rules[index], rules[target]] = [rules[target], rules[index]];
+  renderRules();
+}
+
+// Render the rule editor
+function renderRules() {
+  const container = document.getElementById('ruleList');
+  container.textContent = '';
+
+  rules.forEach((rule, index) => {
+    const item = document.createElement('div');
+    item.className = 'rule' + (rule.enabled ? '' : ' disabled');
+
+    const header = document.createElement('div');
+    header.className = 'rule-header';
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = rule.enabled;
+    enabled.title = 'Enabled';
+    enabled.addEventListener('change', () => {
+      rule.enabled = enabled.checked;
+      renderRules();
+    });
+
+    const name = document.createElement('span');
+    name.className = 'rule-name';
+    name.textContent = `${index + 1}. ${rule.name || '(unnamed)'}`;
+
+    header.appendChild(enabled);
+    header.appendChild(name);
+    if (rule.builtin) {
+      const badge = document.createElement('span');
+      badge.className = 'rule-badge';
+      badge.textContent = 'built-in';
+      header.appendChild(badge);
+    }
+    header.appendChild(createRuleButton('↑', 'Move up', () => moveRule(index, -1)));
+    header.appendChild(createRuleButton('↓', 'Move down', () => moveRule(index, 1)));
+    header.appendChild(createRuleButton(expandedRules.has(rule.id) ? 'Done' : 'Edit', 'Edit rule', () => {
+      if (expandedRules.has(rule.id)) {
+        expandedRules.delete(rule.id);
+      } else {
+        expandedRules.add(rule.id);
+      }
+      renderRules();
+    }));
+    if (!rule.builtin) {
+      header.appendChild(createRuleButton('✕', 'Delete rule', () => {
+        rules.splice(index, 1);
+        renderRules();
+      }));
+    }
+    item.appendChild(header);
+
+    if (expandedRules.has(rule.id)) {
+      const fields = document.createElement('div');
+      fields.className = 'rule-fields';
+      for (const field of RULE_FIELDS) {
+        const label = document.createElement('label');
+        label.textContent = field.label;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = rule[field.key] || '';
+        input.placeholder = field.key === 'regex' && rule.builtin
+          ? '(detected reference pattern)'
+          : field.placeholder;
+        input.addEventListener('input', () => {
+          rule[field.key] = input.value.trim();
+          if (field.key === 'name') {
+            name.textContent = `${index + 1}. ${rule.name || '(unnamed)'}`;
+          }
+          testRules();
+        });
+        label.appendChild(input);
+        fields.appendChild(label);
+      }
+      item.appendChild(fields);
+    }
+
+    container.appendChild(item);
+  });
+
+  testRules();
+}
+
+// Show which rule the sample reference hits
+function testRules() {
+  const result = document.getElementById('ruleTestResult');
+  const text = document.getElementById('ruleTestInput').value.trim().toUpperCase();
+  if (!text || !currentProfile) {
+    result.textContent = 'Enter a reference to see which rule it matches.';
+    return;
+  }
+
+  const pattern = buildPatterns(rules, currentProfile).find(candidate => candidate.regex.test(text));
+  if (pattern) {
+    const position = rules.findIndex(rule => rule.id === pattern.id) + 1;
+    result.textContent = `Matches rule ${position}: ${pattern.name} (${pattern.regex.source})`;
+  } else {
+    result.textContent = 'No rule matches - the part, supplier SKU, MPN and stock lookups will be tried.';
+  }
+}
+
+// Load lookup rules into the editor
+async function loadRuleEditor() {
+  rules = await loadRules();
+  renderRules();
+}
+
+document.addEventListener('DOMContentLoaded', loadRuleEditor);
+
+document.getElementById('ruleTestInput').addEventListener('input', testRules);
+
+// Add a new custom rule
+document.getElementById('addRule').addEventListener('click', () => {
+  const rule = {
+    id: crypto.randomUUID(),
+    enabled: true,
+    name: 'New Rule',
+    regex: '',
+    apiEndpoint: '',
+    apiParam: 'reference',
+    urlTemplate: '',
+    indexUrl: ''
+  };
+  rules.push(rule);
+  expandedRules.add(rule.id);
+  renderRules();
+});
+
+// Restore the built-in rules
+document.getElementById('resetRules').addEventListener('click', () => {
+  rules = normaliseRules(null);
+  expandedRules.clear();
+  renderRules();
+  showStatus('Rules reset to defaults. Save to keep the change.', 'success', 'ruleStatus');
+});
+
+// Save lookup rules
+document.getElementById('saveRules').addEventListener('click', async () => {
+  for (const rule of rules) {
+    const error = validateRule(rule);
+    if (error) {
+      showStatus(error, 'error', 'ruleStatus');
+      return;
+    }
+  }
+
+  await browser.storage.sync.set({ lookupRules: rules });
+  showStatus('Lookup rules saved!', 'success', 'ruleStatus');
+});
+
+// Show how much of the current profile is indexed and when it was last synced
+async function showIndexStats() {
+  const stats = await getIndexStats(currentProfileId);
+  const parts = stats.counts.Part || 0;
+  const orders = INDEX_TYPES.filter(type => type !== 'Part').reduce((total, type) => total + (stats.counts[type] || 0), 0);
+  const element = document.getElementById('indexStats');
+
+  if (!stats.lastSync) {
+    element.textContent = stats.error ? `Sync failed: ${stats.error}` : 'Nothing indexed yet.';
+    return;
+  }
+  const lastSync = new Date(stats.lastSync).toLocaleString();
+  element.textContent = `${parts.toLocaleString()} parts and ${orders.toLocaleString()} open orders indexed for this profile. Last synced ${lastSync}.` +
+    (stats.error ? ` The latest sync failed: ${stats.error}` : '');
+}
+
+// Index settings apply straight away
+document.getElementById('localIndexEnabled').addEventListener('change', (e) => {
+  browser.storage.sync.set({ localIndexEnabled: e.target.checked });
+});
+
+document.getElementById('indexSyncInterval').addEventListener('change', (e) => {
+  browser.storage.sync.set({ indexSyncInterval: Number(e.target.value) });
+});
+
+// Rebuild the current profile's index now
+document.getElementById('syncIndex').addEventListener('click', async (e) => {
+  const button = e.target;
+  button.disabled = true;
+  button.textContent = 'Syncing...';
+  const response = await browser.runtime.sendMessage({ action: 'syncIndex', profileId: currentProfileId });
+  button.disabled = false;
+  button.textContent = 'Sync Now';
+
+  if (response && response.success) {
+    showStatus('Local index synced.', 'success', 'indexStatus');
+  } else {
+    showStatus(`Sync failed: ${response ? response.message : 'no response'}`, 'error', 'indexStatus');
+  }
+  await showIndexStats();
+});
+
+// Remove the current profile's index
+document.getElementById('clearIndex').addEventListener('click', async () => {
+  await clearIndex(currentProfileId);
+  showStatus('Local index cleared.', 'success', 'indexStatus');
+  await showIndexStats();
+});
+
+// Export file format - bump EXPORT_VERSION when the layout changes
+const EXPORT_FORMAT = 'inventree-lookup-export';
+const EXPORT_VERSION = 1;
+
+// Download text as a file
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  // Revoking the URL straight away can cancel the download, in Firefox especially
+  setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+}
+
+// Date stamp for export file names
+function exportDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Build the export: all synced settings, the lookup rules and optionally the history
+async function buildExport({ includeTokens, includeHistory }) {
+  const { profiles } = await loadProfiles();
+  const { lookupRules, ...settings } = await browser.storage.sync.get(null);
+  settings.profiles = storedProfiles(profiles, includeTokens);
+
+  const data = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    rules: normaliseRules(lookupRules)
+  };
+  if (includeHistory) {
+    data.history = await loadHistory();
+  }
+  return data;
+}
+
+// Values offered by one of the settings page's selects
+function selectValues(id) {
+  return [...document.getElementById(id).options].map(option => option.value);
+}
+
+function isBoolean(value) {
+  return typeof value === 'boolean';
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Settings an import file may contain, each with a check of its value
+const IMPORT_SETTINGS = {
+  activeProfileId: value => typeof value === 'string',
+  supplierMatchTarget: value => selectValues('supplierMatchTarget').includes(value),
+  openMode: value => selectValues('openMode').includes(value),
+  defaultPartTab: value => selectValues('defaultPartTab').includes(value),
+  historySize: isPositiveInteger,
+  historyGroupBy: value => selectValues('historyGroupBy').includes(value),
+  autoRouteProfiles: isBoolean,
+  highlightEnabled: isBoolean,
+  highlightSites: value => Array.isArray(value) && value.every(site => typeof site === 'string'),
+  localIndexEnabled: isBoolean,
+  indexSyncInterval: isPositiveInteger,
+  groupBatchTabs: isBoolean,
+  tokenStorage: value => TOKEN_STORAGE_MODES.includes(value)
+};
+
+// Check an import file, returning a description of the first problem found
+function validateImport(data) {
+  if (!data || data.format !== EXPORT_FORMAT) return 'This is not an InvenTree Lookup export file.';
+  if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+    return 'This file was exported by a newer version of the extension.';
+  }
+
+  const { settings, rules, history } = data;
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return 'The file has no settings.';
+  for (const [key, value] of Object.entries(settings)) {
+    if (key === 'profiles') continue;
+    if (!IMPORT_SETTINGS[key]) return `The file has an unknown setting, "${key}".`;
+    if (!IMPORT_SETTINGS[key](value)) return `The file's ${key} setting is not valid.`;
+  }
+  if (settings.profiles !== undefined) {
+    if (!Array.isArray(settings.profiles) || settings.profiles.length === 0) return 'The file\'s server profiles are not a list.';
+    for (const profile of settings.profiles) {
+      if (!profile || typeof profile.id !== 'string' || typeof profile.name !== 'string') return 'Every server profile needs an id and a name.';
+      if (profile.inventreeUrl && !/^https?:\/\//.test(profile.inventreeUrl)) return `Profile "${profile.name}" has an invalid server URL.`;
+    }
+  }
+
+  if (rules !== undefined) {
+    if (!Array.isArray(rules)) return 'The file\'s lookup rules are not a list.';
+    for (const rule of normaliseRules(rules)) {
+      if (!rule || typeof rule.id !== 'string') return 'Every lookup rule needs an id.';
+      const error = validateRule(rule);
+      if (error) return error;
+    }
+  }
+
+  if (history !== undefined) {
+    if (!Array.isArray(history)) return 'The file\'s history is not a list.';
+    for (const item of history) {
+      if (!item || typeof item.reference !== 'string' || typeof item.timestamp !== 'number') {
+        return 'Every history entry needs a reference and a timestamp.';
+      }
+    }
+  }
+  return null;
+}
+
+// Combine two lists by id: entries from the file replace those with the same id, new ones are appended
+function mergeById(current, imported) {
+  const merged = current.map(item => imported.find(candidate => candidate.id === item.id) || item);
+  return merged.concat(imported.filter(item => !current.some(existing => existing.id === item.id)));
+}
+
+// Apply an import file. Tokens left out of the file are kept from the matching local profile
+// when it is for the same server.
+// Everything from the file is written before replace mode removes what the file doesn't have,
+// so a failed import leaves the old settings in place.
+async function applyImport(data, mode) {
+  const { profiles: currentProfiles, tokensLocked } = await loadProfiles();
+  if (tokensLocked) {
+    throw new Error('Unlock the API tokens before importing settings.');
+  }
+  const { profiles: importedProfiles, ...settings } = data.settings;
+  // Tokens stay where this device keeps them, whatever an older file says
+  delete settings.tokenStorage;
+  const previousKeys = Object.keys(await browser.storage.sync.get(null));
+
+  if (importedProfiles) {
+    const withTokens = importedProfiles.map(profile => {
+      const existing = currentProfiles.find(candidate => candidate.id === profile.id);
+      const sameServer = existing && existing.inventreeUrl === profile.inventreeUrl;
+      return !profile.apiToken && sameServer ? { ...profile, apiToken: existing.apiToken } : profile;
+    });
+    const profiles = mode === 'merge' ? mergeById(currentProfiles, withTokens) : withTokens;
+    await saveProfiles(profiles);
+  }
+  await browser.storage.sync.set(settings);
+
+  if (data.rules) {
+    const { lookupRules } = await browser.storage.sync.get('lookupRules');
+    const rules = mode === 'merge' ? mergeById(normaliseRules(lookupRules), data.rules) : data.rules;
+    await browser.storage.sync.set({ lookupRules: rules });
+  }
+
+  if (data.history) {
+    const history = mode === 'merge' ? mergeById(await loadHistory(), data.history) : data.history;
+    // Keep the newest entry per record, newest first
+    const unique = history
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .filter((item, index, sorted) => sorted.findIndex(other => isSameEntry(other, item)) === index);
+    await saveHistory(unique);
+  }
+
+  if (mode === 'replace') {
+    const kept = ['profiles', ...Object.keys(settings), ...(data.rules ? ['lookupRules'] : [])];
+    await browser.storage.sync.remove(previousKeys.filter(key => !kept.includes(key)));
+    if (!data.history) {
+      await browser.storage.local.remove('lookupHistory');
+    }
+  }
+}
+
+document.getElementById('exportSettings').addEventListener('click', async () => {
+  const data = await buildExport({
+    includeTokens: document.getElementById('exportTokens').checked,
+    includeHistory: document.getElementById('exportHistory').checked
+  });
+  downloadFile(`inventree-lookup-${exportDate()}.json`, JSON.stringify(data, null, 2), 'application/json');
+  showStatus('Settings exported.', 'success', 'transferStatus');
+});
+
+document.getElementById('exportHistoryCsv').addEventListener('click', async () => {
+  downloadFile(`inventree-lookup-history-${exportDate()}.csv`, historyToCsv(await loadHistory()), 'text/csv');
+});
+
+document.getElementById('importSettings').addEventListener('click', async () => {
+  const file = document.getElementById('importFile').files[0];
+  if (!file) {
+    showStatus('Choose an export file first.', 'error', 'transferStatus');
+    return;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    showStatus(`The file is not valid JSON: ${error.message}`, 'error', 'transferStatus');
+    return;
+  }
+
+  const error = validateImport(data);
+  if (error) {
+    showStatus(error, 'error', 'transferStatus');
+    return;
+  }
+
+  const mode = document.getElementById('importMode').value;
+  try {
+    await applyImport(data, mode);
+  } catch (importError) {
+    showStatus(`Import failed: ${importError.message}`, 'error', 'transferStatus');
+    return;
+  }
+  await loadSettings();
+  await loadRuleEditor();
+
+  const parts = [`${(data.settings.profiles || []).length} profiles`];
+  if (data.rules) parts.push(`${data.rules.length} rules`);
+  if (data.history) parts.push(`${data.history.length} history entries`);
+  showStatus(`Imported ${parts.join(', ')} (${mode === 'merge' ? 'merged' : 'replaced'}).`, 'success', 'transferStatus');
+});
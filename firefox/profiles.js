@@ -0,0 +1,349 @@
+// InvenTree Item Lookup - Server profiles, API token storage and policy-managed settings
+// (shared by background, options and popup)
+
+// Settings stored per server profile (these were top-level keys before profiles existed)
+const PROFILE_FIELDS = [
+  'inventreeUrl',
+  'apiToken',
+  'referencePatterns',
+  'referencePrefixes',
+  'defaultLandingPage',
+  'serialNumberPattern'
+];
+
+// Create an empty profile with a fresh id
+function createProfile(name) {
+  return { id: crypto.randomUUID(), name };
+}
+
+// Build the first profile from the settings used before profiles existed
+function migrateLegacySettings(legacy) {
+  const profile = { ...createProfile('Default') };
+  for (const field of PROFILE_FIELDS) {
+    if (legacy[field] !== undefined) {
+      profile[field] = legacy[field];
+    }
+  }
+  return profile;
+}
+
+// Profile set up by policy (managed storage) when the policy gives a server URL
+const MANAGED_PROFILE_ID = 'managed';
+
+// Profile fields a policy can set on the managed profile
+const MANAGED_PROFILE_FIELDS = ['inventreeUrl', 'defaultLandingPage', 'serialNumberPattern', 'ipnPattern'];
+
+// Global settings a policy can set - these override the synced values
+const MANAGED_SETTINGS = [
+  'autoRouteProfiles',
+  'supplierMatchTarget',
+  'openMode',
+  'defaultPartTab',
+  'historySize',
+  'highlightEnabled',
+  'highlightSites',
+  'localIndexEnabled',
+  'indexSyncInterval'
+];
+
+// Read the settings deployed by policy. Browsers without a policy reject the read.
+async function loadManagedSettings() {
+  try {
+    return await browser.storage.managed.get(null);
+  } catch (error) {
+    return {};
+  }
+}
+
+// Read global settings, with any values set by policy taking precedence over synced ones
+async function getSettings(keys) {
+  const [settings, managed] = await Promise.all([browser.storage.sync.get(keys), loadManagedSettings()]);
+  for (const key of [].concat(keys)) {
+    if (MANAGED_SETTINGS.includes(key) && managed[key] !== undefined) {
+      settings[key] = managed[key];
+    }
+  }
+  return settings;
+}
+
+// Overlay the policy's values on the managed profile, listing the fields it locks.
+// Reference patterns are given as InvenTree patterns (e.g. "PO-{ref:04d}") keyed by rule id.
+function applyManagedProfile(profile, managed) {
+  const result = { ...profile, lockedFields: [] };
+  if (managed.profileName) {
+    result.name = managed.profileName;
+    result.lockedFields.push('name');
+  }
+  for (const field of MANAGED_PROFILE_FIELDS) {
+    if (managed[field] !== undefined) {
+      result[field] = managed[field];
+      result.lockedFields.push(field);
+    }
+  }
+  if (managed.referencePatterns) {
+    result.referencePatterns = {};
+    for (const [key, pattern] of Object.entries(managed.referencePatterns)) {
+      try {
+        result.referencePatterns[key] = { pattern, regex: referencePatternToRegex(pattern) };
+      } catch (error) {
+        console.error(`Invalid managed reference pattern for ${key}:`, error);
+      }
+    }
+    result.referencePrefixes = null;
+    result.lockedFields.push('referencePatterns');
+  }
+  return result;
+}
+
+// Where API tokens are kept (the tokenStorage setting, chosen for each device in storage.local):
+// 'sync' - in the profiles, synced to every browser signed into the same account
+// 'local' - on this device only, in storage.local
+// 'encrypted' - on this device only, encrypted with a passphrase that unlocks them for the session
+const TOKEN_STORAGE_MODES = ['sync', 'local', 'encrypted'];
+
+// storage.local key holding the tokens in each device-only mode
+const TOKEN_STORE_KEYS = { local: 'apiTokens', encrypted: 'tokenVault' };
+
+const TOKEN_KEY_ITERATIONS = 310000;
+
+// This device's token storage mode. Earlier versions kept it in storage.sync, switching
+// every browser on the account at once, so a synced value is moved here the first time.
+async function getTokenStorage() {
+  const { tokenStorage } = await browser.storage.local.get('tokenStorage');
+  if (TOKEN_STORAGE_MODES.includes(tokenStorage)) return tokenStorage;
+
+  const { tokenStorage: synced } = await browser.storage.sync.get('tokenStorage');
+  const mode = TOKEN_STORAGE_MODES.includes(synced) ? synced : 'sync';
+  if (synced !== undefined) {
+    await browser.storage.local.set({ tokenStorage: mode });
+    await browser.storage.sync.remove('tokenStorage');
+  }
+  return mode;
+}
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Derive the AES-GCM key protecting the token vault from a passphrase (PBKDF2, SHA-256)
+async function deriveTokenKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: TOKEN_KEY_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// The vault key for this session, if the tokens have been unlocked. storage.session
+// is held in memory only, so the key is forgotten when the browser closes.
+async function getSessionTokenKey() {
+  const { tokenKey } = await browser.storage.session.get('tokenKey');
+  if (!tokenKey) return null;
+  return crypto.subtle.importKey('raw', base64ToBytes(tokenKey), 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+async function setSessionTokenKey(key) {
+  const raw = await crypto.subtle.exportKey('raw', key);
+  await browser.storage.session.set({ tokenKey: bytesToBase64(raw) });
+}
+
+async function encryptTokens(tokens, key, salt) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(tokens)));
+  return { salt: bytesToBase64(salt), iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+async function decryptTokens(vault, key) {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(vault.iv) }, key, base64ToBytes(vault.data));
+  return JSON.parse(new TextDecoder().decode(data));
+}
+
+// Read the tokens kept on this device, by profile id. Encrypted tokens are locked
+// until the passphrase is entered (or there is no vault on this device yet).
+async function loadTokens(mode) {
+  const stored = await browser.storage.local.get(TOKEN_STORE_KEYS[mode]);
+  if (mode === 'local') {
+    return { tokens: stored.apiTokens || {}, locked: false };
+  }
+
+  const key = stored.tokenVault ? await getSessionTokenKey() : null;
+  if (!key) {
+    return { tokens: {}, locked: true };
+  }
+  try {
+    return { tokens: await decryptTokens(stored.tokenVault, key), locked: false };
+  } catch (error) {
+    return { tokens: {}, locked: true };
+  }
+}
+
+// Keep tokens on this device. Encrypted tokens must be unlocked first.
+async function saveTokens(mode, tokens) {
+  if (mode === 'local') {
+    await browser.storage.local.set({ apiTokens: tokens });
+    return;
+  }
+
+  const key = await getSessionTokenKey();
+  const { tokenVault } = await browser.storage.local.get('tokenVault');
+  if (!key || !tokenVault) {
+    throw new Error('Enter your passphrase to unlock the API tokens first.');
+  }
+  await browser.storage.local.set({ tokenVault: await encryptTokens(tokens, key, base64ToBytes(tokenVault.salt)) });
+}
+
+// Tokens of a profile list, by profile id
+function collectTokens(profiles) {
+  return Object.fromEntries(profiles.filter(profile => profile.apiToken).map(profile => [profile.id, profile.apiToken]));
+}
+
+// Profiles as kept in sync storage: without what is re-applied on load, and without
+// tokens unless they are kept in sync
+function storedProfiles(profiles, includeTokens) {
+  return profiles.map(({ lockedFields, tokensLocked, apiToken, ...profile }) => includeTokens ? { ...profile, apiToken } : profile);
+}
+
+// Load all profiles and the active profile id, migrating legacy settings on first use.
+// A policy with a server URL adds the managed profile (made active when it first appears).
+async function loadProfiles() {
+  const stored = await browser.storage.sync.get(['profiles', 'activeProfileId', ...PROFILE_FIELDS]);
+  const tokenStorage = await getTokenStorage();
+  const managed = await loadManagedSettings();
+  let profiles = stored.profiles;
+
+  if (!profiles || profiles.length === 0) {
+    profiles = [migrateLegacySettings(stored)];
+    if (managed.inventreeUrl) {
+      profiles[0] = { ...profiles[0], id: MANAGED_PROFILE_ID, name: 'Managed' };
+    }
+    stored.activeProfileId = profiles[0].id;
+    await browser.storage.sync.set({ profiles, activeProfileId: profiles[0].id });
+    await browser.storage.sync.remove(PROFILE_FIELDS);
+  } else if (managed.inventreeUrl && !profiles.some(profile => profile.id === MANAGED_PROFILE_ID)) {
+    profiles = [{ id: MANAGED_PROFILE_ID, name: 'Managed' }, ...profiles];
+    stored.activeProfileId = MANAGED_PROFILE_ID;
+    await browser.storage.sync.set({ profiles, activeProfileId: MANAGED_PROFILE_ID });
+  }
+
+  if (managed.inventreeUrl) {
+    profiles = profiles.map(profile => profile.id === MANAGED_PROFILE_ID ? applyManagedProfile(profile, managed) : profile);
+  }
+
+  let tokensLocked = false;
+  if (tokenStorage !== 'sync') {
+    const { tokens, locked } = await loadTokens(tokenStorage);
+    tokensLocked = locked;
+    profiles = profiles.map(profile => ({ ...profile, apiToken: tokens[profile.id] || '', ...(locked && { tokensLocked: true }) }));
+  }
+
+  const activeProfileId = profiles.some(profile => profile.id === stored.activeProfileId)
+    ? stored.activeProfileId
+    : profiles[0].id;
+
+  return { profiles, activeProfileId, tokenStorage, tokensLocked };
+}
+
+// Save the full profile list, keeping the tokens wherever the tokenStorage setting says.
+// While encrypted tokens are locked the profiles have no tokens, so the vault is left alone.
+async function saveProfiles(profiles) {
+  const tokenStorage = await getTokenStorage();
+  if (tokenStorage !== 'sync' && !profiles.some(profile => profile.tokensLocked)) {
+    await saveTokens(tokenStorage, collectTokens(profiles));
+  }
+  await browser.storage.sync.set({ profiles: storedProfiles(profiles, tokenStorage === 'sync') });
+}
+
+// Update fields of a single profile
+async function updateProfile(id, changes) {
+  const { profiles } = await loadProfiles();
+  const updated = profiles.map(profile => (profile.id === id ? { ...profile, ...changes } : profile));
+  await saveProfiles(updated);
+  return updated.find(profile => profile.id === id);
+}
+
+// Unlock the encrypted tokens for this session. With no vault on this device yet,
+// the passphrase starts a new, empty one.
+async function unlockTokens(passphrase) {
+  const { tokenVault } = await browser.storage.local.get('tokenVault');
+  if (!tokenVault) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveTokenKey(passphrase, salt);
+    await browser.storage.local.set({ tokenVault: await encryptTokens({}, key, salt) });
+    await setSessionTokenKey(key);
+    return;
+  }
+
+  const key = await deriveTokenKey(passphrase, base64ToBytes(tokenVault.salt));
+  try {
+    await decryptTokens(tokenVault, key);
+  } catch (error) {
+    throw new Error('Wrong passphrase.');
+  }
+  await setSessionTokenKey(key);
+}
+
+// Forget the vault key, locking the encrypted tokens until the passphrase is entered again
+async function lockTokens() {
+  await browser.storage.session.remove('tokenKey');
+}
+
+// Move the tokens to another storage mode. The tokens are written to their new place
+// before the old copy is removed, so a failure part way leaves them where they were.
+// Choosing 'encrypted' again re-encrypts the tokens with a new passphrase.
+async function setTokenStorage(mode, passphrase = null) {
+  const { profiles, tokensLocked } = await loadProfiles();
+  if (tokensLocked) {
+    throw new Error('Unlock the API tokens before changing where they are kept.');
+  }
+  const tokens = collectTokens(profiles);
+
+  if (mode === 'encrypted') {
+    if (!passphrase) {
+      throw new Error('Enter a passphrase to encrypt the API tokens with.');
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveTokenKey(passphrase, salt);
+    await browser.storage.local.set({ tokenVault: await encryptTokens(tokens, key, salt) });
+    await setSessionTokenKey(key);
+  } else if (mode === 'local') {
+    await browser.storage.local.set({ apiTokens: tokens });
+  }
+  // Switch the mode on the side of the profile write that keeps the tokens readable if it fails
+  if (mode !== 'sync') {
+    await browser.storage.local.set({ tokenStorage: mode });
+  }
+  await browser.storage.sync.set({ profiles: storedProfiles(profiles, mode === 'sync') });
+  if (mode === 'sync') {
+    await browser.storage.local.set({ tokenStorage: mode });
+  }
+
+  const obsolete = Object.entries(TOKEN_STORE_KEYS).filter(([storeMode]) => storeMode !== mode);
+  await browser.storage.local.remove(obsolete.map(([, key]) => key));
+  if (mode !== 'encrypted') {
+    await lockTokens();
+  }
+}
+
+// Switch the active profile
+async function setActiveProfile(id) {
+  await browser.storage.sync.set({ activeProfileId: id });
+}
+
+// Get a profile by id, or the active profile when no id is given
+async function getProfile(id = null) {
+  const { profiles, activeProfileId } = await loadProfiles();
+  return profiles.find(profile => profile.id === (id || activeProfileId)) || profiles[0];
+}
+
+// Get a profile's base URL without trailing slashes
+function getProfileBaseUrl(profile) {
+  if (!profile || !profile.inventreeUrl) return null;
+  return profile.inventreeUrl.replace(/\/+$/, '');
+}